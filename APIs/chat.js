@@ -3,6 +3,7 @@ from fastapi import APIRouter, HTTPException
 from pydantic import BaseModel
 import asyncpg
 from app.auth import AuthorizedUser
+from app.libs.realtime import publish
 
 router = APIRouter()
 
@@ -92,7 +93,7 @@ async def send_message(body: SendMessageRequest, user: AuthorizedUser) -> ChatMe
             body.recipient_id
         )
         
-        return ChatMessage(
+        message = ChatMessage(
             id=row["id"],
             table_id=row["table_id"],
             user_id=row["user_id"],
@@ -102,6 +103,12 @@ async def send_message(body: SendMessageRequest, user: AuthorizedUser) -> ChatMe
             recipient_id=row["recipient_id"],
             created_at=row["created_at"].isoformat()
         )
+        
+        # Private messages only reach the sender and recipient streams
+        visible_to = [uid for uid in (user.sub, body.recipient_id) if uid] if body.is_private else None
+        await publish(body.table_id, "chat", message.model_dump(), visible_to)
+        
+        return message
     finally:
         await conn.close()
 
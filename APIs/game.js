@@ -3,32 +3,89 @@
 # Last reload: 2025-11-10 19:35 IST
 
 from fastapi import APIRouter, HTTPException
+from fastapi.responses import StreamingResponse
 from pydantic import BaseModel
-from typing import List, Optional
+from typing import Dict, List, Optional
 from app.auth import AuthorizedUser
-from app.libs.db import fetchrow, fetch, execute
+from app.libs.db import fetchrow, fetch, execute, transaction
+from app.libs.realtime import has_subscribers, publish, subscribe
 import uuid
 import json
+import asyncpg
 import random
 import string
 from app.libs.scoring import (
     is_sequence,
     is_pure_sequence,
-    is_set,
-    calculate_deadwood_points,
-    auto_organize_hand,
+    same_card,
 )
-from app.libs.rummy_models import DeckConfig, deal_initial, StartRoundResponse
+from app.libs.rummy_models import (
+    DeckConfig,
+    DealResult,
+    deal_initial,
+    reshuffle_discard,
+    new_server_seed,
+    seed_commitment,
+    pick_wild_joker_rank,
+    cut_wild_joker_rank,
+    StartRoundResponse,
+)
+from app.libs.rulesets import RULESETS, DEFAULT_RULESET, get_ruleset
+from app.libs.rummy_bot import (
+    BOT_LEVELS,
+    BOT_NAMES,
+    choose_draw_source,
+    choose_discard,
+    find_lockable_sequence,
+    plan_declaration,
+)
+from app.libs.advisor import rank_discards, rate_discard_top
+import asyncio
 import time
+from datetime import datetime, timedelta, timezone
 
 router = APIRouter()
 
 
+class Contract(BaseModel):
+    """Melds a contract rummy player must go down with in one deal."""
+    sets: int = 0
+    runs: int = 0
+
+
 class CreateTableRequest(BaseModel):
-    max_players: int = 4
-    disqualify_score: int = 200
-    wild_joker_mode: str = "open_joker"  # "no_joker", "close_joker", or "open_joker"
-    ace_value: int = 10  # 1 or 10
+    # Settings left as None take the ruleset's defaults
+    max_players: Optional[int] = None  # default 4, or fewer if the ruleset seats fewer
+    disqualify_score: Optional[int] = None  # 200 for Indian rummy, 100 for Gin
+    wild_joker_mode: Optional[str] = None  # "no_joker", "close_joker", or "open_joker"
+    ace_value: Optional[int] = None  # 1 or 10
+    max_reshuffles: int = 3  # times the discard pile may refill the stock before the round is a draw
+    turn_seconds: int = 30  # time per turn before the time bank starts draining
+    time_bank_seconds: int = 60  # extra time per player per round
+    max_timeouts: int = 3  # consecutive timeouts before a player is auto-dropped
+    ruleset: str = DEFAULT_RULESET  # see GET /rulesets
+    # Drop penalties default to the ruleset's
+    first_drop_penalty: Optional[int] = None  # drop before your first draw
+    middle_drop_penalty: Optional[int] = None  # drop after you have drawn
+    full_count_penalty: Optional[int] = None  # leave the table mid-round
+    game_type: str = "pool"  # "pool" (eliminated at disqualify_score), "deals" or "points"
+    deals_count: int = 2  # deals: number of deals before the game ends
+    starting_chips: int = 160  # deals: chips each player starts with
+    point_value: float = 1.0  # points: currency paid per point, settled every deal
+    max_rejoins: int = 1  # pool: times an eliminated player may buy back in (0 disables)
+    prize_pool: float = 0.0  # pool: prize a negotiated split divides
+    rejoin_max_score: Optional[int] = None  # pool: re-joins close once someone passes this; default 80% of disqualify_score
+    decks: Optional[int] = None  # default from the ruleset: 2 decks up to 6 players, 3 above
+    printed_jokers_per_deck: Optional[int] = None  # default from the ruleset; 0 plays without printed jokers
+    wild_joker_cut: Optional[bool] = None  # cut a real card for the wild joker instead of naming a rank; default from the ruleset
+    contract_schedule: Optional[List[Contract]] = None  # contract rummy: what each deal requires; default from the ruleset
+    finish_seconds: int = 30  # time the others get to arrange their cards after a show; 0 auto-organizes them at once
+    hints_enabled: bool = True  # the discard advisor (/round/hint); switch off for competitive tables
+
+
+GAME_TYPES = ("pool", "deals", "points")
+MAX_DECKS = 4
+MAX_FINISH_SECONDS = 120
 
 
 class CreateTableResponse(BaseModel):
@@ -36,8 +93,111 @@ class CreateTableResponse(BaseModel):
     code: str
 
 
+class RulesetInfo(BaseModel):
+    name: str
+    title: str
+    hand_size: int
+    min_players: int
+    max_players: int
+    points_cap: int
+    wild_joker_modes: List[str]
+    printed_jokers: bool
+    drop_penalties: Dict[str, int]
+    default_disqualify_score: int
+    knocking: bool  # rounds end with a knock instead of a full show
+    table_melds: bool  # melds go on the table during play (/melds/lay)
+    counts_up: bool  # round scores are points won and disqualify_score is the target to reach
+    contracts: bool  # each deal has a contract (contract_schedule)
+    buys_per_deal: int  # out-of-turn discard buys per player per deal (/draw/buy)
+    hints: bool  # the discard advisor (/round/hint) is available
+
+
+@router.get("/rulesets")
+async def list_rulesets(user: AuthorizedUser) -> List[RulesetInfo]:
+    """Rulesets a host can pick when creating a table."""
+    return [
+        RulesetInfo(
+            name=rules.name,
+            title=rules.title,
+            hand_size=rules.hand_size,
+            min_players=rules.min_players,
+            max_players=rules.max_players,
+            points_cap=rules.points_cap,
+            wild_joker_modes=list(rules.wild_joker_modes),
+            printed_jokers=rules.printed_jokers,
+            drop_penalties=dict(rules.drop_penalties),
+            default_disqualify_score=rules.default_disqualify_score,
+            knocking=rules.knocking,
+            table_melds=rules.table_melds,
+            counts_up=rules.counts_up,
+            contracts=rules.contracts,
+            buys_per_deal=rules.buys_per_deal,
+            hints=rules.hints,
+        )
+        for rules in RULESETS.values()
+    ]
+
+
+def _table_deck_config(tbl) -> DeckConfig:
+    """Deck settings stored on a table row."""
+    return get_ruleset(tbl["ruleset"]).deck_config(tbl["decks"], tbl["printed_jokers_per_deck"])
+
+
 @router.post("/tables")
 async def create_table(body: CreateTableRequest, user: AuthorizedUser) -> CreateTableResponse:
+    if body.ruleset not in RULESETS:
+        raise HTTPException(status_code=400, detail=f"ruleset must be one of {', '.join(RULESETS)}")
+    rules = RULESETS[body.ruleset]
+    max_players = body.max_players if body.max_players is not None else min(4, rules.max_players)
+    disqualify_score = body.disqualify_score if body.disqualify_score is not None else rules.default_disqualify_score
+    wild_joker_mode = body.wild_joker_mode or rules.default_wild_joker_mode
+    ace_value = body.ace_value if body.ace_value is not None else rules.default_ace_value
+    max_rejoins = body.max_rejoins if rules.rejoins else 0
+    first_drop_penalty = body.first_drop_penalty if body.first_drop_penalty is not None else rules.drop_penalties["first"]
+    middle_drop_penalty = body.middle_drop_penalty if body.middle_drop_penalty is not None else rules.drop_penalties["middle"]
+    full_count_penalty = body.full_count_penalty if body.full_count_penalty is not None else rules.drop_penalties["full_count"]
+    if body.max_reshuffles < 0:
+        raise HTTPException(status_code=400, detail="max_reshuffles cannot be negative")
+    if body.turn_seconds < 5 or body.time_bank_seconds < 0 or body.max_timeouts < 1:
+        raise HTTPException(status_code=400, detail="Invalid turn timer settings")
+    if not 0 <= body.finish_seconds <= MAX_FINISH_SECONDS:
+        raise HTTPException(status_code=400, detail=f"finish_seconds must be 0-{MAX_FINISH_SECONDS}")
+    if not 0 <= first_drop_penalty <= middle_drop_penalty <= full_count_penalty:
+        raise HTTPException(status_code=400, detail="Drop penalties must satisfy 0 <= first <= middle <= full count")
+    if body.game_type not in GAME_TYPES:
+        raise HTTPException(status_code=400, detail=f"game_type must be one of {', '.join(GAME_TYPES)}")
+    if not rules.busts and body.game_type != "pool":
+        raise HTTPException(status_code=400, detail=f"{rules.title} tables use game_type pool")
+    if body.game_type == "deals" and (not 1 <= body.deals_count <= 10 or body.starting_chips < 1):
+        raise HTTPException(status_code=400, detail="Deals tables need 1-10 deals and at least 1 starting chip")
+    if body.game_type == "points" and body.point_value <= 0:
+        raise HTTPException(status_code=400, detail="point_value must be positive")
+    if body.max_rejoins < 0 or body.prize_pool < 0:
+        raise HTTPException(status_code=400, detail="max_rejoins and prize_pool cannot be negative")
+    rejoin_max_score = body.rejoin_max_score
+    if rejoin_max_score is None:
+        rejoin_max_score = disqualify_score * 4 // 5
+    if not 0 <= rejoin_max_score < disqualify_score:
+        raise HTTPException(status_code=400, detail="rejoin_max_score must be below disqualify_score")
+    decks = body.decks if body.decks is not None else rules.default_decks(max_players)
+    printed_jokers_per_deck = body.printed_jokers_per_deck
+    if printed_jokers_per_deck is None:
+        printed_jokers_per_deck = 2 if rules.printed_jokers else 0
+    if not 1 <= decks <= MAX_DECKS or not 0 <= printed_jokers_per_deck <= 4:
+        raise HTTPException(status_code=400, detail=f"Use 1-{MAX_DECKS} decks and 0-4 printed jokers per deck")
+    wild_joker_cut = body.wild_joker_cut if body.wild_joker_cut is not None else rules.requires_cut_joker
+    problem = rules.check_table(max_players, decks, printed_jokers_per_deck, wild_joker_mode, wild_joker_cut, ace_value)
+    if problem:
+        raise HTTPException(status_code=400, detail=problem)
+    contract_schedule = None
+    if rules.contracts:
+        contract_schedule = [c.model_dump() for c in body.contract_schedule] if body.contract_schedule else list(rules.default_schedule)
+        problem = rules.check_schedule(contract_schedule)
+        if problem:
+            raise HTTPException(status_code=400, detail=problem)
+    elif body.contract_schedule:
+        raise HTTPException(status_code=400, detail=f"{rules.title} has no contracts")
+
     table_id = str(uuid.uuid4())
     # Generate short 6-character alphanumeric code
     code = ''.join(random.choices(string.ascii_uppercase + string.digits, k=6))
@@ -46,8 +206,16 @@ async def create_table(body: CreateTableRequest, user: AuthorizedUser) -> Create
     result = await fetchrow(
         """
         WITH new_table AS (
-            INSERT INTO public.rummy_tables (id, code, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            INSERT INTO public.rummy_tables (
+                id, code, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value,
+                max_reshuffles, turn_seconds, time_bank_seconds, max_timeouts,
+                first_drop_penalty, middle_drop_penalty, full_count_penalty, next_server_seed,
+                game_type, deals_count, starting_chips, point_value, max_rejoins, rejoin_max_score,
+                prize_pool, decks, printed_jokers_per_deck, wild_joker_cut, ruleset, contract_schedule, finish_seconds,
+                hints_enabled
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22,
+                    $23, $24, $25, $26, $27::jsonb, $28, $29)
             RETURNING id, code
         ),
         profile_data AS (
@@ -75,10 +243,32 @@ async def create_table(body: CreateTableRequest, user: AuthorizedUser) -> Create
         table_id,
         code,
         user.sub,
-        body.max_players,
-        body.disqualify_score,
-        body.wild_joker_mode,
-        body.ace_value,
+        max_players,
+        disqualify_score,
+        wild_joker_mode,
+        ace_value,
+        body.max_reshuffles,
+        body.turn_seconds,
+        body.time_bank_seconds,
+        body.max_timeouts,
+        first_drop_penalty,
+        middle_drop_penalty,
+        full_count_penalty,
+        new_server_seed(),
+        body.game_type,
+        body.deals_count,
+        body.starting_chips,
+        body.point_value,
+        max_rejoins,
+        rejoin_max_score,
+        body.prize_pool,
+        decks,
+        printed_jokers_per_deck,
+        wild_joker_cut,
+        body.ruleset,
+        json.dumps(contract_schedule) if contract_schedule else None,
+        body.finish_seconds,
+        body.hints_enabled,
     )
     
     return CreateTableResponse(table_id=result["id"], code=result["code"])
@@ -134,9 +324,76 @@ async def join_table(body: JoinTableRequest, user: AuthorizedUser) -> JoinTableR
         next_seat,
         display_name,
     )
+    await publish(body.table_id, "seats", {"user_id": user.sub, "seat": next_seat})
     return JoinTableResponse(table_id=body.table_id, seat=next_seat)
 
 
+class AddBotRequest(BaseModel):
+    table_id: str
+    level: str = "medium"  # "easy", "medium" or "hard"
+
+
+class AddBotResponse(BaseModel):
+    table_id: str
+    seat: int
+    user_id: str
+    display_name: str
+    level: str
+
+
+@router.post("/tables/add-bot")
+async def add_bot(body: AddBotRequest, user: AuthorizedUser) -> AddBotResponse:
+    """Host fills an empty seat with a computer player."""
+    if body.level not in BOT_LEVELS:
+        raise HTTPException(status_code=400, detail=f"Bot level must be one of {', '.join(BOT_LEVELS)}")
+
+    tbl = await fetchrow(
+        "SELECT id, host_user_id, max_players, status, ruleset FROM public.rummy_tables WHERE id = $1",
+        body.table_id,
+    )
+    if not tbl:
+        raise HTTPException(status_code=404, detail="Table not found")
+    if tbl["host_user_id"] != user.sub:
+        raise HTTPException(status_code=403, detail="Only host can add bots")
+    if not get_ruleset(tbl["ruleset"]).bots:
+        raise HTTPException(status_code=400, detail="Bots can't play this table's ruleset")
+    if tbl["status"] != "waiting":
+        raise HTTPException(status_code=400, detail="Cannot add bots: round already started")
+
+    existing = await fetch(
+        "SELECT seat FROM public.rummy_table_players WHERE table_id = $1 ORDER BY seat",
+        body.table_id,
+    )
+    used_seats = {r["seat"] for r in existing}
+    next_seat = 1
+    while next_seat in used_seats:
+        next_seat += 1
+    if next_seat > tbl["max_players"]:
+        raise HTTPException(status_code=400, detail="Table is full")
+
+    bot_id = f"bot-{uuid.uuid4()}"
+    display_name = f"{BOT_NAMES[body.level]} {next_seat}"
+    await execute(
+        """
+        INSERT INTO public.rummy_table_players (table_id, user_id, seat, display_name, is_bot, bot_level)
+        VALUES ($1, $2, $3, $4, true, $5)
+        """,
+        body.table_id,
+        bot_id,
+        next_seat,
+        display_name,
+        body.level,
+    )
+    await publish(body.table_id, "seats", {"user_id": bot_id, "seat": next_seat})
+    return AddBotResponse(
+        table_id=body.table_id,
+        seat=next_seat,
+        user_id=bot_id,
+        display_name=display_name,
+        level=body.level,
+    )
+
+
 class JoinByCodeRequest(BaseModel):
     code: str
 
@@ -181,6 +438,7 @@ async def join_table_by_code(body: JoinByCodeRequest, user: AuthorizedUser) -> J
         ON CONFLICT (table_id, user_id) DO NOTHING""",
         tbl["id"], user.sub, next_seat, display_name
     )
+    await publish(tbl["id"], "seats", {"user_id": user.sub, "seat": next_seat})
     
     return JoinTableResponse(table_id=tbl["id"], seat=next_seat)
 
@@ -195,7 +453,8 @@ async def start_game(body: StartGameRequest, user: AuthorizedUser) -> StartRound
     # Confirm user in table and fetch host + status + game settings
     tbl = await fetchrow(
         """
-        SELECT t.id, t.status, t.host_user_id, t.wild_joker_mode, t.ace_value
+        SELECT t.id, t.status, t.host_user_id, t.wild_joker_mode, t.ace_value, t.game_type, t.starting_chips,
+               t.decks, t.printed_jokers_per_deck, t.wild_joker_cut, t.ruleset
         FROM public.rummy_tables t
         WHERE t.id = $1
         """,
@@ -231,23 +490,28 @@ async def start_game(body: StartGameRequest, user: AuthorizedUser) -> StartRound
     if len(user_ids) < 2:
         raise HTTPException(status_code=400, detail="Need at least 2 players to start")
 
-    cfg = DeckConfig(decks=2, include_printed_jokers=True)
-    deal = deal_initial(user_ids, cfg, body.seed)
-
     round_id = str(uuid.uuid4())
     number = 1
-    
+
+    # The client seed lets players add their own entropy to the committed server seed
+    cfg = _table_deck_config(tbl)
+    server_seed = await _take_server_seed(body.table_id)
+    client_seed = str(body.seed) if body.seed is not None else ""
+
     # Game mode logic:
     # - no_joker: no wild joker at all
     # - close_joker: wild joker exists but hidden initially
     # - open_joker: wild joker revealed immediately
     game_mode = tbl["wild_joker_mode"]
+    cut_joker = game_mode != "no_joker" and tbl["wild_joker_cut"]
+    rules = get_ruleset(tbl["ruleset"])
+    deal = rules.deal(user_ids, cfg, server_seed, client_seed, number, cut_joker)
     wild_joker_rank = None
-    
+
     if game_mode in ["close_joker", "open_joker"]:
-        # Randomly select wild joker rank (excluding JOKER itself)
-        all_ranks = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
-        wild_joker_rank = random.choice(all_ranks)
+        wild_joker_rank = _deal_wild_joker_rank(deal, server_seed, client_seed, number)
+    fairness = _fairness_record(server_seed, client_seed, number, user_ids, cfg, cut_joker, rules.hand_size)
+    printed_joker = deal.printed_joker.model_dump() if deal.printed_joker else None
 
     hands_serialized = {uid: [c.model_dump() for c in cards] for uid, cards in deal.hands.items()}
     stock_serialized = [c.model_dump() for c in deal.stock]
@@ -255,13 +519,14 @@ async def start_game(body: StartGameRequest, user: AuthorizedUser) -> StartRound
 
     await execute(
         """
-        INSERT INTO public.rummy_rounds (id, table_id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id, game_mode, ace_value)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        INSERT INTO public.rummy_rounds (id, table_id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id, game_mode, ace_value, fairness, turn_deadline)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                now() + (SELECT turn_seconds FROM public.rummy_tables WHERE id = $2) * interval '1 second')
         """,
         round_id,
         body.table_id,
         number,
-        None,
+        json.dumps(printed_joker) if printed_joker else None,
         wild_joker_rank,
         json.dumps(stock_serialized),
         json.dumps(discard_serialized),
@@ -269,12 +534,28 @@ async def start_game(body: StartGameRequest, user: AuthorizedUser) -> StartRound
         user_ids[0],
         game_mode,
         tbl["ace_value"],
+        json.dumps(fairness),
     )
+    await _log_events(round_id, [("deal", None, {
+        "hands": hands_serialized,
+        "stock": stock_serialized,
+        "discard": discard_serialized,
+        "active_user_id": user_ids[0],
+        "wild_joker_rank": wild_joker_rank,
+        "printed_joker": printed_joker,
+    })])
+    await publish(body.table_id, "round_started", {"round_number": number, "active_user_id": user_ids[0]})
 
     await execute(
         "UPDATE public.rummy_tables SET status = 'playing', updated_at = now() WHERE id = $1",
         body.table_id,
     )
+    if tbl["game_type"] == "deals":
+        await execute(
+            "UPDATE public.rummy_table_players SET chips = $2 WHERE table_id = $1 AND is_spectator = false",
+            body.table_id,
+            tbl["starting_chips"],
+        )
 
     discard_top = None
     if len(discard_serialized) > 0:
@@ -291,6 +572,7 @@ async def start_game(body: StartGameRequest, user: AuthorizedUser) -> StartRound
         active_user_id=user_ids[0],
         stock_count=len(stock_serialized),
         discard_top=discard_top,
+        seed_commitment=fairness["commitment"],
     )
 
 
@@ -300,6 +582,11 @@ class PlayerInfo(BaseModel):
     seat: int
     display_name: Optional[str] = None
     profile_image_url: Optional[str] = None
+    is_bot: bool = False
+    chips: Optional[int] = None  # deals tables only
+    total_points: int = 0
+    disqualified: bool = False
+    rejoins: int = 0  # pool: times this player bought back in
 
 
 class TableInfoResponse(BaseModel):
@@ -314,6 +601,20 @@ class TableInfoResponse(BaseModel):
     players: List[PlayerInfo]
     current_round_number: Optional[int] = None
     active_user_id: Optional[str] = None
+    turn_seconds: int = 30
+    turn_deadline: Optional[str] = None  # ISO timestamp; the active player's time bank starts after this
+    active_time_bank_seconds: Optional[int] = None
+    next_seed_commitment: Optional[str] = None  # SHA-256 of the server seed the next deal will use
+    game_type: str = "pool"
+    deals_count: Optional[int] = None  # deals tables only
+    point_value: Optional[float] = None  # points tables only
+    decks: int = 2
+    printed_jokers_per_deck: int = 2
+    ruleset: str = DEFAULT_RULESET
+    contract_schedule: Optional[List[Contract]] = None  # contract rummy tables only
+    finish_seconds: int = 30
+    hints_enabled: bool = True  # the host allows the discard advisor (/round/hint)
+    round_status: Optional[str] = None  # "playing", "finishing" (others arranging after a show) or "finished"
 
 
 @router.get("/tables/info")
@@ -321,11 +622,33 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
     """Return basic table state with players and current round info.
     Only accessible to the host or seated players.
     """
+    # Check access before the lazy timers, which act on the table's behalf
+    access = await fetchrow(
+        """
+        SELECT t.host_user_id,
+               EXISTS (SELECT 1 FROM public.rummy_table_players p WHERE p.table_id = t.id AND p.user_id = $2) AS is_member
+        FROM public.rummy_tables t
+        WHERE t.id = $1
+        """,
+        table_id,
+        user.sub,
+    )
+    if not access:
+        raise HTTPException(status_code=404, detail="Table not found")
+    if access["host_user_id"] != user.sub and not access["is_member"]:
+        raise HTTPException(status_code=403, detail="You don't have access to this table")
+    _schedule_bot_turns(table_id)
+    await _enforce_turn_timeout(table_id)
+    await _enforce_finish_deadline(table_id)
+
     # Single CTE query combining all data fetches
     result = await fetchrow(
         """
         WITH table_data AS (
-            SELECT id, code, status, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value
+            SELECT id, code, status, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value,
+                   turn_seconds, time_bank_seconds, next_server_seed, game_type, deals_count,
+                   point_value, decks, printed_jokers_per_deck, ruleset, contract_schedule, finish_seconds,
+                   hints_enabled
             FROM public.rummy_tables
             WHERE id = $1
         ),
@@ -336,13 +659,14 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
             ) AS is_member
         ),
         players_data AS (
-            SELECT user_id, seat, display_name, profile_image_url
+            SELECT user_id, seat, display_name, profile_image_url, is_bot, chips,
+                   total_points, disqualified, rejoins
             FROM public.rummy_table_players
             WHERE table_id = $1 AND is_spectator = false
             ORDER BY seat ASC
         ),
         last_round_data AS (
-            SELECT number, active_user_id
+            SELECT number, active_user_id, turn_deadline, time_banks, finished_at, finish_deadline
             FROM public.rummy_rounds
             WHERE table_id = $1
             ORDER BY number DESC
@@ -357,19 +681,31 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
                         'user_id', p.user_id,
                         'seat', p.seat,
                         'display_name', p.display_name,
-                        'profile_image_url', p.profile_image_url
+                        'profile_image_url', p.profile_image_url,
+                        'is_bot', p.is_bot,
+                        'chips', p.chips,
+                        'total_points', p.total_points,
+                        'disqualified', p.disqualified,
+                        'rejoins', p.rejoins
                     ) ORDER BY p.seat
                 ) FILTER (WHERE p.user_id IS NOT NULL),
                 '[]'
             ) AS players_json,
             r.number AS round_number,
-            r.active_user_id
+            r.active_user_id,
+            r.turn_deadline,
+            r.time_banks,
+            r.finished_at,
+            r.finish_deadline
         FROM table_data t
         CROSS JOIN membership_check m
         LEFT JOIN players_data p ON true
         LEFT JOIN last_round_data r ON true
         GROUP BY t.id, t.code, t.status, t.host_user_id, t.max_players, t.disqualify_score, 
-                 t.wild_joker_mode, t.ace_value, m.is_member, r.number, r.active_user_id
+                 t.wild_joker_mode, t.ace_value, t.turn_seconds, t.time_bank_seconds, t.next_server_seed,
+                 t.game_type, t.deals_count, t.point_value, t.decks, t.printed_jokers_per_deck, t.ruleset, t.contract_schedule,
+                 t.finish_seconds, t.hints_enabled, m.is_member,
+                 r.number, r.active_user_id, r.turn_deadline, r.time_banks, r.finished_at, r.finish_deadline
         """,
         table_id,
         user.sub,
@@ -391,11 +727,23 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
             user_id=p["user_id"],
             seat=p["seat"],
             display_name=p["display_name"],
-            profile_image_url=p.get("profile_image_url")
+            profile_image_url=p.get("profile_image_url"),
+            is_bot=bool(p.get("is_bot")),
+            chips=p.get("chips"),
+            total_points=p.get("total_points") or 0,
+            disqualified=bool(p.get("disqualified")),
+            rejoins=p.get("rejoins") or 0,
         )
         for p in players_data
     ]
 
+    turn_deadline = None
+    active_bank = None
+    if result["turn_deadline"] and not result["finished_at"]:
+        turn_deadline = result["turn_deadline"].isoformat()
+        banks = _load_json(result["time_banks"], {})
+        active_bank = banks.get(result["active_user_id"], result["time_bank_seconds"])
+
     return TableInfoResponse(
         table_id=result["id"],
         code=result["code"],
@@ -408,6 +756,86 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
         players=players,
         current_round_number=result["round_number"],
         active_user_id=result["active_user_id"],
+        turn_seconds=result["turn_seconds"],
+        turn_deadline=turn_deadline,
+        active_time_bank_seconds=active_bank,
+        next_seed_commitment=seed_commitment(result["next_server_seed"]) if result["next_server_seed"] else None,
+        game_type=result["game_type"],
+        deals_count=result["deals_count"] if result["game_type"] == "deals" else None,
+        point_value=float(result["point_value"]) if result["game_type"] == "points" else None,
+        decks=result["decks"],
+        printed_jokers_per_deck=result["printed_jokers_per_deck"],
+        ruleset=result["ruleset"],
+        contract_schedule=_load_json(result["contract_schedule"], None),
+        finish_seconds=result["finish_seconds"],
+        hints_enabled=result["hints_enabled"],
+        round_status=_round_status(result) if result["round_number"] is not None else None,
+    )
+
+
+# -------- Live table stream --------
+# Server-Sent Events per table: clients open /tables/stream and refresh only when
+# something happens, instead of polling /tables/info and /round/me. Events carry
+# public state only; hands still come from /round/me.
+STREAM_TICK_SECONDS = 2  # how often an open stream drives timeouts and bot turns
+STREAM_KEEPALIVE_SECONDS = 15
+_last_stream_tick: Dict[str, float] = {}
+
+
+async def _tick_table(table_id: str):
+    """Run the lazy timers at most once per tick per table, however many clients stream it."""
+    now = time.time()
+    if now - _last_stream_tick.get(table_id, 0) < STREAM_TICK_SECONDS:
+        return
+    _last_stream_tick[table_id] = now
+    _schedule_bot_turns(table_id)
+    await _enforce_turn_timeout(table_id)
+    await _enforce_finish_deadline(table_id)
+
+
+def _sse(event_type: str, data: dict) -> str:
+    return f"event: {event_type}\ndata: {json.dumps(data, default=str)}\n\n"
+
+
+@router.get("/tables/stream")
+async def stream_table(table_id: str, user: AuthorizedUser):
+    """Push table events (turns, discards, chat, declarations, seats) as they happen."""
+    await _assert_member(table_id, user.sub)
+
+    async def events():
+        try:
+            async with subscribe(table_id) as queue:
+                yield _sse("ready", {"table_id": table_id})
+                idle = 0.0
+                while True:
+                    # Nobody may be polling any more, so the stream keeps turns moving,
+                    # on busy tables as well as quiet ones (at most once per tick)
+                    await _tick_table(table_id)
+                    try:
+                        message = await asyncio.wait_for(queue.get(), timeout=STREAM_TICK_SECONDS)
+                    except asyncio.TimeoutError:
+                        idle += STREAM_TICK_SECONDS
+                        if idle >= STREAM_KEEPALIVE_SECONDS:
+                            idle = 0.0
+                            yield ": keepalive\n\n"
+                        continue
+                    if message is None:
+                        # Events stopped reaching this process; the client reconnects
+                        return
+                    idle = 0.0
+                    visible_to = message.get("visible_to")
+                    if visible_to and user.sub not in visible_to:
+                        continue
+                    yield _sse(message["type"], message["data"])
+        finally:
+            # The last stream out takes the table's tick time with it
+            if not has_subscribers(table_id):
+                _last_stream_tick.pop(table_id, None)
+
+    return StreamingResponse(
+        events(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
     )
 
 
@@ -428,6 +856,38 @@ class RoundMeResponse(BaseModel):
     wild_joker_revealed: bool = False
     wild_joker_rank: Optional[str] = None
     finished_at: Optional[str] = None
+    active_user_id: Optional[str] = None
+    turn_deadline: Optional[str] = None  # ISO timestamp; the time bank starts after this
+    time_bank_seconds: Optional[int] = None  # caller's remaining extra time
+    seed_commitment: Optional[str] = None  # SHA-256 of this round's server seed, see /round/fairness
+    printed_joker: Optional[CardView] = None  # the face-up cut card naming the wild joker, on cut tables
+    turn_drawn: bool = False  # the active player has drawn this turn
+    must_meld: Optional[CardView] = None  # Rummy 500: the deep discard pick that has to be melded before discarding
+    buy_open: bool = False  # contract rummy: the top discard can be bought (/draw/buy)
+    buys_left: Optional[int] = None  # contract rummy: caller's remaining buys this deal
+    round_status: str = "playing"  # "playing", "finishing" (others arranging after a show) or "finished"
+    finish_deadline: Optional[str] = None  # ISO timestamp; unarranged hands are auto-organized after this
+    arranging: bool = False  # the caller still has to arrange their cards (/round/arrange)
+
+
+def _wild_joker_active_for(game_mode: Optional[str], players_with_first_sequence: List[str], user_id: str) -> bool:
+    """Whether wild cards count as jokers in user_id's hand.
+
+    open_joker makes them count for everyone; close_joker only for players who
+    have locked a pure sequence. Every rule check goes through here so it agrees
+    with what /round/me shows.
+    """
+    if game_mode == "no_joker":
+        return False
+    return game_mode == "open_joker" or user_id in players_with_first_sequence
+
+
+def _wild_joker_revealed_to(game_mode: Optional[str], players_with_first_sequence: List[str], user_id: str, finished: bool) -> bool:
+    """Whether user_id may see the wild joker: whenever it counts for them, and by
+    everyone once the round ends and it is no secret any more."""
+    if game_mode == "no_joker":
+        return False
+    return finished or _wild_joker_active_for(game_mode, players_with_first_sequence, user_id)
 
 
 @router.get("/round/me")
@@ -443,15 +903,21 @@ async def get_round_me(table_id: str, user: AuthorizedUser) -> RoundMeResponse:
     if not member:
         raise HTTPException(status_code=403, detail="Not part of this table")
     
+    _schedule_bot_turns(table_id)
+    await _enforce_turn_timeout(table_id)
+    await _enforce_finish_deadline(table_id)
+
     # Get table info
     table = await fetchrow(
-        "SELECT wild_joker_mode, ace_value FROM rummy_tables WHERE id = $1",
+        "SELECT wild_joker_mode, ace_value, time_bank_seconds, ruleset FROM rummy_tables WHERE id = $1",
         table_id
     )
     
     # Get latest round
     rnd = await fetchrow(
-        """SELECT id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id
+        """SELECT id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id,
+                  turn_deadline, time_banks, finished_at, fairness, game_mode, players_with_first_sequence,
+                  turn_drawn, must_meld, buy_open, buys, finish_deadline, winner_user_id, arrangements
            FROM rummy_rounds 
            WHERE table_id = $1 
            ORDER BY number DESC 
@@ -496,6 +962,23 @@ async def get_round_me(table_id: str, user: AuthorizedUser) -> RoundMeResponse:
         for c in my_hand_data
     ]
     
+    time_banks = _load_json(rnd["time_banks"], {})
+    # Closed jokers never leave the server until this player may see them
+    revealed = _wild_joker_revealed_to(
+        rnd["game_mode"] or table["wild_joker_mode"],
+        _load_json(rnd["players_with_first_sequence"], []),
+        user.sub,
+        _round_status(rnd) != "playing",
+    )
+    cut_card = _load_json(rnd["printed_joker"], None)
+    printed_joker_view = None
+    if cut_card and revealed:
+        printed_joker_view = CardView(
+            rank=cut_card.get("rank"), suit=cut_card.get("suit"), joker=bool(cut_card.get("joker")), code=to_code(cut_card)
+        )
+    must_meld = _load_json(rnd["must_meld"], None)
+    rules = get_ruleset(table["ruleset"])
+    
     elapsed = time.time() - start
     return RoundMeResponse(
         table_id=table_id,
@@ -503,10 +986,204 @@ async def get_round_me(table_id: str, user: AuthorizedUser) -> RoundMeResponse:
         hand=hand_view,
         stock_count=len(stock),
         discard_top=discard_top_str,
-        wild_joker_revealed=False,  # Will fix this logic later
-        wild_joker_rank=rnd["wild_joker_rank"],
-        finished_at=None
+        wild_joker_revealed=revealed and rnd["wild_joker_rank"] is not None,
+        wild_joker_rank=rnd["wild_joker_rank"] if revealed else None,
+        finished_at=rnd["finished_at"].isoformat() if rnd["finished_at"] else None,
+        active_user_id=rnd["active_user_id"],
+        turn_deadline=rnd["turn_deadline"].isoformat() if rnd["turn_deadline"] and not rnd["finished_at"] else None,
+        time_bank_seconds=time_banks.get(user.sub, table["time_bank_seconds"]),
+        seed_commitment=_load_json(rnd["fairness"], {}).get("commitment"),
+        printed_joker=printed_joker_view,
+        turn_drawn=rnd["turn_drawn"],
+        must_meld=_hand_view([must_meld])[0] if must_meld else None,
+        buy_open=rnd["buy_open"],
+        buys_left=_buys_left(rules, _load_json(rnd["buys"], {}), user.sub) if rules.buys_per_deal else None,
+        round_status=_round_status(rnd),
+        finish_deadline=rnd["finish_deadline"].isoformat() if rnd["finish_deadline"] and not rnd["finished_at"] else None,
+        arranging=_round_status(rnd) == "finishing"
+        and user.sub in _still_arranging(hands, rnd["winner_user_id"], _load_json(rnd["arrangements"], {})),
+    )
+
+
+# -------- Provably fair deals --------
+# Each table holds the server seed for its next deal; only its SHA-256 commitment is
+# shown (TableInfoResponse.next_seed_commitment). Dealing consumes that seed and
+# commits a fresh one. The seed is revealed by /round/fairness once the round is over.
+
+async def _take_server_seed(table_id: str) -> str:
+    """Return the committed seed for a new deal and commit the table's next one."""
+    row = await fetchrow(
+        """
+        UPDATE public.rummy_tables t
+        SET next_server_seed = $2
+        FROM (SELECT next_server_seed FROM public.rummy_tables WHERE id = $1 FOR UPDATE) prev
+        WHERE t.id = $1
+        RETURNING prev.next_server_seed AS server_seed
+        """,
+        table_id,
+        new_server_seed(),
+    )
+    # Tables created before seeds were committed get a fresh, uncommitted seed once
+    return (row and row["server_seed"]) or new_server_seed()
+
+
+def _fairness_record(
+    server_seed: str,
+    client_seed: str,
+    nonce: int,
+    user_ids: List[str],
+    cfg: DeckConfig,
+    cut_joker: bool = False,
+    hand_size: int = 13,
+) -> dict:
+    """Everything needed to rebuild a deal; stored on the round, server_seed kept secret until it ends."""
+    return {
+        "commitment": seed_commitment(server_seed),
+        "server_seed": server_seed,
+        "client_seed": client_seed,
+        "nonce": nonce,
+        "players": user_ids,
+        "decks": cfg.decks,
+        "printed_jokers": cfg.include_printed_jokers,
+        "jokers_per_deck": cfg.jokers_per_deck,
+        "cut_joker": cut_joker,
+        "hand_size": hand_size,
+    }
+
+
+def _deal_wild_joker_rank(deal: DealResult, server_seed: str, client_seed: str, nonce: int) -> str:
+    """The cut card's rank when the deal cut one, else a rank drawn from the seeds."""
+    if deal.printed_joker is not None:
+        return cut_wild_joker_rank(deal.printed_joker)
+    return pick_wild_joker_rank(server_seed, client_seed, nonce)
+
+
+class FairnessDeal(BaseModel):
+    hands: Dict[str, List[str]]  # user_id -> card codes as dealt
+    discard: List[str]
+    stock: List[str]  # bottom to top
+    wild_joker_rank: Optional[str] = None
+    printed_joker: Optional[str] = None  # the cut card, when the table cuts for the wild joker
+
+
+class FairnessResponse(BaseModel):
+    table_id: str
+    round_number: int
+    seed_commitment: Optional[str] = None
+    client_seed: Optional[str] = None
+    nonce: Optional[int] = None
+    revealed: bool = False
+    server_seed: Optional[str] = None  # only once the round is finished
+    commitment_valid: Optional[bool] = None  # server_seed hashes to seed_commitment; check it against the one you were shown
+    wild_joker_matches: Optional[bool] = None
+    deal_matches: Optional[bool] = None  # the rebuilt deal is exactly what the round recorded as dealt
+    mismatches: List[str] = []  # what differs when it isn't: "hands:<user_id>", "stock", "discard", "printed_joker"
+    deal: Optional[FairnessDeal] = None
+
+
+def _deal_mismatches(rebuilt: FairnessDeal, dealt: dict) -> List[str]:
+    """Parts of the recorded deal event that the seeds do not reproduce."""
+    def codes(cards: Optional[List[dict]]) -> List[str]:
+        return [_serialize_card_code(c) for c in cards or []]
+
+    dealt_hands = dealt.get("hands") or {}
+    mismatches = [
+        f"hands:{uid}"
+        for uid in sorted(set(rebuilt.hands) | set(dealt_hands))
+        if rebuilt.hands.get(uid) != codes(dealt_hands.get(uid))
+    ]
+    if rebuilt.stock != codes(dealt.get("stock")):
+        mismatches.append("stock")
+    if rebuilt.discard != codes(dealt.get("discard")):
+        mismatches.append("discard")
+    printed_joker = dealt.get("printed_joker")
+    if rebuilt.printed_joker != (_serialize_card_code(printed_joker) if printed_joker else None):
+        mismatches.append("printed_joker")
+    return mismatches
+
+
+@router.get("/round/fairness")
+async def get_round_fairness(table_id: str, round_number: int, user: AuthorizedUser) -> FairnessResponse:
+    """Seed commitment for a round and, once it is finished, the revealed seed and rebuilt deal."""
+    member = await fetchrow(
+        "SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2",
+        table_id,
+        user.sub,
+    )
+    if not member:
+        raise HTTPException(status_code=403, detail="Not part of the table")
+
+    rnd = await fetchrow(
+        """
+        SELECT id, number, wild_joker_rank, game_mode, fairness, finished_at
+        FROM public.rummy_rounds
+        WHERE table_id = $1 AND number = $2
+        """,
+        table_id,
+        round_number,
+    )
+    if not rnd:
+        raise HTTPException(status_code=404, detail="Round not found")
+
+    fairness = _load_json(rnd["fairness"], {})
+    if not fairness:
+        # Dealt before seeds were recorded
+        return FairnessResponse(table_id=table_id, round_number=rnd["number"])
+
+    response = FairnessResponse(
+        table_id=table_id,
+        round_number=rnd["number"],
+        seed_commitment=fairness["commitment"],
+        client_seed=fairness["client_seed"],
+        nonce=fairness["nonce"],
+    )
+    if not rnd["finished_at"]:
+        return response
+
+    server_seed = fairness["server_seed"]
+    cfg = DeckConfig(
+        decks=fairness["decks"],
+        include_printed_jokers=fairness["printed_jokers"],
+        jokers_per_deck=fairness.get("jokers_per_deck", 2),
+    )
+    deal = deal_initial(
+        fairness["players"],
+        cfg,
+        server_seed,
+        fairness["client_seed"],
+        fairness["nonce"],
+        fairness.get("cut_joker", False),
+        fairness.get("hand_size", 13),
+    )
+    wild_joker_rank = None
+    if rnd["wild_joker_rank"]:
+        wild_joker_rank = _deal_wild_joker_rank(deal, server_seed, fairness["client_seed"], fairness["nonce"])
+
+    response.revealed = True
+    response.server_seed = server_seed
+    response.commitment_valid = seed_commitment(server_seed) == fairness["commitment"]
+    response.wild_joker_matches = wild_joker_rank == rnd["wild_joker_rank"]
+    response.deal = FairnessDeal(
+        hands={uid: [c.code() for c in cards] for uid, cards in deal.hands.items()},
+        discard=[c.code() for c in deal.discard],
+        stock=[c.code() for c in deal.stock],
+        wild_joker_rank=wild_joker_rank,
+        printed_joker=deal.printed_joker.code() if deal.printed_joker else None,
+    )
+    # The seeds prove nothing unless they rebuild the cards that were actually dealt
+    dealt = await fetchrow(
+        """
+        SELECT payload FROM public.rummy_round_events
+        WHERE round_id = $1 AND event_type = 'deal'
+        ORDER BY seq
+        LIMIT 1
+        """,
+        rnd["id"],
     )
+    if dealt:
+        response.mismatches = _deal_mismatches(response.deal, _load_json(dealt["payload"], {}))
+        response.deal_matches = not response.mismatches
+    return response
 
 
 # -------- Lock Sequence for Wild Joker Reveal --------
@@ -538,7 +1215,7 @@ async def lock_sequence(body: LockSequenceRequest, user: AuthorizedUser) -> Lock
         # Get current round - USE number DESC for consistency with other endpoints
         round_row = await fetchrow(
             """
-            SELECT id, table_id, wild_joker_rank, players_with_first_sequence 
+            SELECT id, table_id, wild_joker_rank, players_with_first_sequence, version, hands, finished_at
             FROM rummy_rounds 
             WHERE table_id = $1 
             ORDER BY number DESC 
@@ -547,7 +1224,7 @@ async def lock_sequence(body: LockSequenceRequest, user: AuthorizedUser) -> Lock
             table_id
         )
         
-        if not round_row:
+        if not round_row or round_row['finished_at']:
             raise HTTPException(status_code=404, detail="No active round")
         
         wild_joker_rank = round_row['wild_joker_rank']
@@ -567,9 +1244,20 @@ async def lock_sequence(body: LockSequenceRequest, user: AuthorizedUser) -> Lock
             return LockSequenceResponse(
                 success=False,
                 message="✅ You already revealed the wild joker!",
-                wild_joker_revealed=False,
-                wild_joker_rank=None
+                wild_joker_revealed=True,
+                wild_joker_rank=wild_joker_rank
             )
+
+        # The sequence must come from the player's own hand, or anyone could unlock the joker
+        hand = list(_load_json(round_row['hands'], {}).get(user_id, []))
+        for card in meld:
+            if not _take_matching(hand, card):
+                return LockSequenceResponse(
+                    success=False,
+                    message="❌ Those cards are not in your hand",
+                    wild_joker_revealed=False,
+                    wild_joker_rank=None
+                )
         
         # Check if THIS player has already revealed their wild joker
         has_wild_joker_revealed = user_id in players_with_seq
@@ -594,10 +1282,14 @@ async def lock_sequence(body: LockSequenceRequest, user: AuthorizedUser) -> Lock
         
         # Add user to players_with_first_sequence
         new_players = list(set(players_with_seq + [user_id]))
-        await execute(
-            "UPDATE rummy_rounds SET players_with_first_sequence = $1 WHERE id = $2",
-            json.dumps(new_players), round_row['id']
-        )
+        async with transaction() as conn:
+            status = await conn.execute(
+                "UPDATE rummy_rounds SET players_with_first_sequence = $1, version = version + 1 WHERE id = $2 AND version = $3",
+                json.dumps(new_players), round_row['id'], round_row['version']
+            )
+            _require_updated(status)
+            await _log_events(round_row['id'], [("lock_sequence", user_id, {"meld": meld})], conn)
+        await publish(table_id, "wild_joker_revealed", {"user_id": user_id})
         
         return LockSequenceResponse(
             success=True,
@@ -605,6 +1297,8 @@ async def lock_sequence(body: LockSequenceRequest, user: AuthorizedUser) -> Lock
             wild_joker_revealed=True,
             wild_joker_rank=wild_joker_rank
         )
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=f"Internal error: {str(e)}")
 
@@ -612,6 +1306,7 @@ async def lock_sequence(body: LockSequenceRequest, user: AuthorizedUser) -> Lock
 # -------- Core turn actions: draw stock/discard and discard a card --------
 class DrawRequest(BaseModel):
     table_id: str
+    depth: int = 1  # discard pile: take this many cards off the top, where the ruleset allows deep picks
 
 
 class DiscardCard(BaseModel):
@@ -637,10 +1332,13 @@ class DiscardResponse(BaseModel):
 async def _get_latest_round(table_id: str):
     return await fetchrow(
         """
-        SELECT id, number, stock, discard, hands, active_user_id, finished_at, wild_joker_rank, ace_value, players_with_first_sequence
-        FROM public.rummy_rounds
-        WHERE table_id = $1
-        ORDER BY number DESC
+        SELECT r.id, r.number, r.stock, r.discard, r.hands, r.active_user_id, r.finished_at, r.wild_joker_rank, r.ace_value,
+               r.players_with_first_sequence, r.drops, r.version, r.printed_joker,
+               COALESCE(r.game_mode, t.wild_joker_mode) AS game_mode
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id
+        WHERE r.table_id = $1
+        ORDER BY r.number DESC
         LIMIT 1
         """,
         table_id,
@@ -675,26 +1373,425 @@ def _hand_view(cards: List[dict]) -> List[CardView]:
     ]
 
 
+def _drop_scores(drops: Optional[dict]) -> dict:
+    """Round points owed by players who dropped out, keyed by user_id."""
+    return {uid: int(d["penalty"]) for uid, d in (drops or {}).items()}
+
+
+async def _finish_round(
+    round_id: str,
+    winner_user_id: Optional[str],
+    hands: dict,
+    drops: Optional[dict] = None,
+    scores: Optional[dict] = None,
+    events: Optional[list] = None,
+    version: Optional[int] = None,
+):
+    """End a round without a declaration: zero for everyone still in unless scores
+    are given (see _closing_scores), penalties for drops.
+
+    Only the first finish lands: returns None, logging and publishing nothing, when
+    the round has already ended or is being shown, or has moved past version when
+    one is given. events (e.g. a reshuffle) are logged in the same transaction.
+    """
+    scores = dict(scores) if scores is not None else {uid: 0 for uid in hands}
+    scores.update(_drop_scores(drops))
+    async with transaction() as conn:
+        row = await conn.fetchrow(
+            """
+            UPDATE public.rummy_rounds
+            SET winner_user_id = $1, scores = $2::jsonb, finished_at = now(), version = version + 1, updated_at = now()
+            WHERE id = $3 AND finished_at IS NULL AND finish_deadline IS NULL
+              AND ($4::int IS NULL OR version = $4)
+            RETURNING table_id, number, finished_at
+            """,
+            winner_user_id,
+            json.dumps(scores),
+            round_id,
+            version,
+        )
+        if row is None:
+            return None
+        await _log_events(
+            round_id,
+            list(events or []) + [("round_finished", None, {"winner_user_id": winner_user_id, "scores": scores})],
+            conn,
+        )
+    await publish(row["table_id"], "round_finished", {"round_number": row["number"], "winner_user_id": winner_user_id})
+    await _settle_points_round(round_id)
+    return row["finished_at"]
+
+
+async def _finish_round_as_draw(
+    round_id: str,
+    hands: dict,
+    drops: Optional[dict] = None,
+    scores: Optional[dict] = None,
+    events: Optional[list] = None,
+    version: Optional[int] = None,
+):
+    """End a round with no winner (reshuffle limit reached)."""
+    return await _finish_round(round_id, None, hands, drops, scores, events, version)
+
+
+def _closing_scores(rules, hands: dict, table_melds) -> Optional[dict]:
+    """Scores for a round that ends without a show. Table-meld rulesets score every
+    hand against the melds laid down; the others score zero (None)."""
+    if not rules.table_melds:
+        return None
+    return rules.round_scores(hands, _load_json(table_melds, []))
+
+
+def _refill_stock(
+    stock: List[dict],
+    discard: List[dict],
+    reshuffles: List[dict],
+    max_reshuffles: int,
+    user_id: str,
+    fairness: Optional[dict] = None,
+):
+    """Make sure the stock has a card to draw, reshuffling the discard pile if allowed.
+
+    Returns (stock, discard, ok); ok is False when the round has to end as a draw.
+    Appends to reshuffles in place when a reshuffle happens. The reshuffle is
+    derived from the round's seeds (fairness) so it can be audited afterwards.
+    """
+    if stock:
+        return stock, discard, True
+    if len(reshuffles) >= max_reshuffles or len(discard) < 2:
+        return stock, discard, False
+    fairness = fairness or {}
+    stock, discard = reshuffle_discard(
+        discard,
+        fairness.get("server_seed"),
+        fairness.get("client_seed", ""),
+        fairness.get("nonce", 0),
+        len(reshuffles) + 1,
+    )
+    reshuffles.append({
+        "number": len(reshuffles) + 1,
+        "triggered_by": user_id,
+        "cards": len(stock),
+        "at": time.time(),
+    })
+    return stock, discard, True
+
+
+def _next_user(seats: List, hands: dict, current: str) -> str:
+    """Next player clockwise from current who is still in the round.
+
+    seats: rows with user_id and is_spectator, ordered by seat.
+    """
+    order = [s["user_id"] for s in seats if s["user_id"] == current or (s["user_id"] in hands and not s["is_spectator"])]
+    if current not in order:
+        return order[0] if order else current
+    cur_idx = order.index(current)
+    return order[(cur_idx + 1) % len(order)]
+
+
+DROP_PENALTY_COLUMNS = {
+    "first": "first_drop_penalty",
+    "middle": "middle_drop_penalty",
+    "full_count": "full_count_penalty",
+}
+
+
+def _drop_player(hands: dict, drops: dict, drawn_by: List[str], user_id: str, penalties, leave: bool = False) -> dict:
+    """Take a player out of the round and record their penalty.
+
+    First drop before their first draw, middle drop after it, full count when
+    leaving the table. The hand leaves play with the player, so it is neither
+    scored again nor given another turn.
+    """
+    if leave:
+        kind = "full_count"
+    else:
+        kind = "middle" if user_id in drawn_by else "first"
+    drop = {
+        "type": kind,
+        "penalty": int(penalties[DROP_PENALTY_COLUMNS[kind]]),
+        "cards": hands.pop(user_id, []),
+        "at": time.time(),
+    }
+    drops[user_id] = drop
+    return drop
+
+
+# -------- Round event log --------
+# Every change to a round's cards is appended to rummy_round_events so a finished
+# round can be replayed move by move. Events are (type, user_id, payload):
+#   deal          {hands, stock, discard, active_user_id, wild_joker_rank}
+#   reshuffle     {stock, discard}            discard pile turned into a new stock
+#   draw          {source, card, cards}       source is "stock" or "discard"; cards only for deep discard picks
+#   meld          {meld_ids, cards}           cards laid on the table, as new melds or onto an existing one
+#   buy           {card, penalty_card}        out-of-turn discard bought with a card from the stock
+#   discard       {card, next_user_id}
+#   lock_sequence {meld}
+#   timeout       {count}                     followed by the moves made for the player
+#   drop          {type, penalty, returned_card, next_user_id}
+#   declare       {valid, card, groups, reason}
+#   arrange       {groups, points}            a player's own grouping after someone else's show
+#   round_finished {winner_user_id, scores}
+# Moves made for a timed-out player carry "auto": true.
+
+async def _log_events(round_id, events: List[tuple], conn=None):
+    """Append (event_type, user_id, payload) tuples to the round's log in order.
+
+    Pass conn to write them inside the caller's transaction.
+    """
+    run = conn.execute if conn is not None else execute
+    for event_type, user_id, payload in events:
+        await run(
+            """
+            INSERT INTO public.rummy_round_events (round_id, seq, event_type, user_id, payload)
+            SELECT $1, COALESCE(MAX(seq), 0) + 1, $2, $3, $4::jsonb
+            FROM public.rummy_round_events
+            WHERE round_id = $1
+            """,
+            round_id,
+            event_type,
+            user_id,
+            json.dumps(payload),
+        )
+
+
+def _take_matching(cards: List[dict], card: dict) -> bool:
+    """Remove one copy of card from cards; False if there was none."""
+    for i, c in enumerate(cards):
+        if same_card(c, card):
+            cards.pop(i)
+            return True
+    return False
+
+
+def _apply_event(state: dict, event_type: str, user_id: Optional[str], payload: dict) -> None:
+    """Advance a replay state (hands, stock, discard, active_user_id) by one event."""
+    if event_type == "deal":
+        state["hands"] = {uid: list(cards) for uid, cards in payload["hands"].items()}
+        state["stock"] = list(payload["stock"])
+        state["discard"] = list(payload["discard"])
+        state["active_user_id"] = payload["active_user_id"]
+    elif event_type == "reshuffle":
+        state["stock"] = list(payload["stock"])
+        state["discard"] = list(payload["discard"])
+    elif event_type == "draw":
+        pile = state["discard"] if payload["source"] == "discard" else state["stock"]
+        cards = payload.get("cards") or [payload["card"]]  # deep discard picks take several
+        del pile[len(pile) - len(cards):]
+        state["hands"].setdefault(user_id, []).extend(cards)
+    elif event_type == "meld":
+        for card in payload["cards"]:
+            _take_matching(state["hands"].get(user_id, []), card)
+    elif event_type == "buy":
+        if state["discard"]:
+            state["discard"].pop()
+        if state["stock"]:
+            state["stock"].pop()
+        state["hands"].setdefault(user_id, []).extend([payload["card"], payload["penalty_card"]])
+    elif event_type in ("discard", "declare"):
+        _take_matching(state["hands"].get(user_id, []), payload["card"])
+        state["discard"].append(payload["card"])
+        if payload.get("next_user_id"):
+            state["active_user_id"] = payload["next_user_id"]
+    elif event_type == "drop":
+        if payload.get("returned_card"):
+            state["discard"].append(payload["returned_card"])
+        state["hands"].pop(user_id, None)
+        if payload.get("next_user_id"):
+            state["active_user_id"] = payload["next_user_id"]
+
+
+# -------- Concurrency --------
+# Turn actions read the round, change it in Python and write it back. Each write
+# bumps rummy_rounds.version and only applies if the version is still the one that
+# was read, so a request racing another one fails instead of duplicating cards.
+ROUND_CONFLICT_DETAIL = "The round changed while your action was processed - refresh and try again"
+
+
+def _require_updated(status: str):
+    """Raise 409 when a versioned UPDATE matched no row (rolls back the transaction)."""
+    if status.endswith(" 0"):
+        raise HTTPException(status_code=409, detail=ROUND_CONFLICT_DETAIL)
+
+
+# -------- Turn timer --------
+def _load_json(value, default):
+    if value is None:
+        return default
+    return json.loads(value) if isinstance(value, str) else value
+
+
+async def _enforce_turn_timeout(table_id: str) -> bool:
+    """Act for the active player if their turn deadline and time bank have run out.
+
+    There is no background worker, so this runs lazily from the polled endpoints
+    and the turn actions. The timed-out player auto-draws from stock and discards
+    that card (or discards their drawn card if they already drew); after
+    max_timeouts consecutive timeouts they are dropped instead.
+    Returns True if a timeout was applied.
+    """
+    rnd = await fetchrow(
+        """
+        SELECT r.id, r.stock, r.discard, r.hands, r.active_user_id, r.turn_deadline, r.time_banks,
+               r.timeouts, r.reshuffles, r.drops, r.drawn_by, r.finished_at, r.fairness, r.number, r.version,
+               r.turn_drawn, r.table_melds, t.status, t.time_bank_seconds, t.max_timeouts, t.max_reshuffles, t.ruleset,
+               t.first_drop_penalty, t.middle_drop_penalty, t.full_count_penalty
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id
+        WHERE r.table_id = $1
+        ORDER BY r.number DESC
+        LIMIT 1
+        """,
+        table_id,
+    )
+    if not rnd or rnd["finished_at"] or rnd["status"] != "playing" or not rnd["turn_deadline"]:
+        return False
+
+    active = rnd["active_user_id"]
+    time_banks = _load_json(rnd["time_banks"], {})
+    bank = time_banks.get(active, rnd["time_bank_seconds"])
+    now = datetime.now(timezone.utc)
+    if now < rnd["turn_deadline"] + timedelta(seconds=bank):
+        return False
+
+    hands = _load_json(rnd["hands"], {})
+    stock = _load_json(rnd["stock"], [])
+    discard = _load_json(rnd["discard"], [])
+    timeouts = _load_json(rnd["timeouts"], {})
+    reshuffles = _load_json(rnd["reshuffles"], [])
+    drops = _load_json(rnd["drops"], {})
+    drawn_by = _load_json(rnd["drawn_by"], [])
+    hand = hands.get(active, [])
+    rules = get_ruleset(rnd["ruleset"])
+    drew = rules.has_drawn(hand, rnd["turn_drawn"])
+
+    time_banks[active] = 0
+    timeouts[active] = timeouts.get(active, 0) + 1
+    dropped = timeouts[active] >= rnd["max_timeouts"]
+    events = [("timeout", active, {"count": timeouts[active]})]
+
+    seats = await fetch(
+        "SELECT user_id, is_spectator FROM public.rummy_table_players WHERE table_id = $1 ORDER BY seat ASC",
+        table_id,
+    )
+
+    if dropped:
+        returned = None
+        if drew:
+            # Put the drawn card back on the discard pile before the hand leaves play
+            returned = hand.pop()
+            discard.append(returned)
+        drop = _drop_player(hands, drops, drawn_by, active, rnd)
+        next_user = _next_user(seats, hands, active)
+        events.append((
+            "drop",
+            active,
+            {"type": drop["type"], "penalty": drop["penalty"], "returned_card": returned, "next_user_id": next_user, "auto": True},
+        ))
+    else:
+        if drew:
+            # Already drew - throw the drawn card back
+            thrown = hand.pop()
+        else:
+            reshuffle_count = len(reshuffles)
+            stock, discard, ok = _refill_stock(
+                stock, discard, reshuffles, rnd["max_reshuffles"], active, _load_json(rnd["fairness"], {})
+            )
+            if len(reshuffles) > reshuffle_count:
+                events.append(("reshuffle", active, {"stock": list(stock), "discard": list(discard), "auto": True}))
+            if not ok:
+                finished_at = await _finish_round_as_draw(
+                    rnd["id"], hands, drops, _closing_scores(rules, hands, rnd["table_melds"]), events, rnd["version"]
+                )
+                return finished_at is not None
+            # Drawn card goes straight to the discard pile
+            thrown = stock.pop()
+            events.append(("draw", active, {"source": "stock", "card": thrown, "auto": True}))
+            if active not in drawn_by:
+                drawn_by.append(active)
+        discard.append(thrown)
+        next_user = _next_user(seats, hands, active)
+        events.append(("discard", active, {"card": thrown, "next_user_id": next_user, "auto": True}))
+
+    # Guard on the version we read so concurrent pollers apply the timeout once;
+    # losing that race is normal here, so it is not an error
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET stock = $1::jsonb, discard = $2::jsonb, hands = $3::jsonb, time_banks = $4::jsonb,
+                timeouts = $5::jsonb, reshuffles = $6::jsonb, drops = $11::jsonb, drawn_by = $12::jsonb,
+                active_user_id = $7, turn_drawn = false, must_meld = NULL, buy_open = false,
+                turn_deadline = now() + (SELECT turn_seconds FROM public.rummy_tables WHERE id = $8) * interval '1 second',
+                version = version + 1, updated_at = now()
+            WHERE id = $9 AND version = $10
+            """,
+            json.dumps(stock),
+            json.dumps(discard),
+            json.dumps(hands),
+            json.dumps(time_banks),
+            json.dumps(timeouts),
+            json.dumps(reshuffles),
+            next_user,
+            table_id,
+            rnd["id"],
+            rnd["version"],
+            json.dumps(drops),
+            json.dumps(drawn_by),
+        )
+        if status.endswith(" 0"):
+            return False
+        await _log_events(rnd["id"], events, conn)
+    await publish(table_id, "turn", {
+        "round_number": rnd["number"],
+        "timed_out": active,
+        "dropped": dropped,
+        "discard_top": _serialize_card_code(discard[-1]) if discard else None,
+        "stock_count": len(stock),
+        "active_user_id": next_user,
+    })
+
+    if dropped and len(hands) == 1:
+        # Everyone else is out - the last player standing wins the round
+        await _finish_round(rnd["id"], next(iter(hands)), hands, drops, _closing_scores(rules, hands, rnd["table_melds"]))
+    return True
+
+
+def _charge_time_bank(time_banks: dict, user_id: str, turn_deadline, default_bank: int) -> dict:
+    """Deduct any time used past the turn deadline from the player's bank."""
+    if turn_deadline is None:
+        return time_banks
+    overrun = (datetime.now(timezone.utc) - turn_deadline).total_seconds()
+    if overrun > 0:
+        bank = time_banks.get(user_id, default_bank)
+        time_banks[user_id] = max(0, int(bank - overrun))
+    return time_banks
+
+
 @router.post("/draw/stock")
 async def draw_stock(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse:
     start_time = time.time()
+    await _enforce_turn_timeout(body.table_id)
     # Single query: validate + fetch + update in one transaction
     result = await fetchrow(
         """
         WITH table_check AS (
-            SELECT t.id, t.status,
+            SELECT t.id, t.status, t.max_reshuffles, t.ruleset,
                    EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
             FROM public.rummy_tables t
             WHERE t.id = $1
         ),
         round_data AS (
-            SELECT id, number, stock, hands, discard, active_user_id, finished_at
+            SELECT id, number, stock, hands, discard, active_user_id, finished_at, drawn_by, drops, reshuffles, fairness,
+                   turn_drawn, table_melds, version
             FROM public.rummy_rounds
             WHERE table_id = $1
             ORDER BY number DESC
             LIMIT 1
         )
-        SELECT t.id, t.status, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at
+        SELECT t.id, t.status, t.max_reshuffles, t.ruleset, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard,
+               r.active_user_id, r.finished_at, r.drawn_by, r.drops, r.reshuffles, r.fairness, r.turn_drawn, r.table_melds,
+               r.version
         FROM table_check t
         LEFT JOIN round_data r ON true
         """,
@@ -710,6 +1807,8 @@ async def draw_stock(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse
         raise HTTPException(status_code=403, detail="Not part of the table")
     if not result["round_id"]:
         raise HTTPException(status_code=404, detail="No active round")
+    if result["finished_at"]:
+        raise HTTPException(status_code=400, detail="Round already finished")
     if result["active_user_id"] != user.sub:
         raise HTTPException(status_code=403, detail="Not your turn")
 
@@ -721,24 +1820,75 @@ async def draw_stock(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse
     my = hands.get(user.sub)
     if my is None:
         raise HTTPException(status_code=404, detail="No hand for this player")
-    if len(my) != 13:
+    rules = get_ruleset(result["ruleset"])
+    if rules.has_drawn(my, result["turn_drawn"]):
         raise HTTPException(status_code=400, detail="You must discard before drawing again")
-    if not stock:
-        raise HTTPException(status_code=400, detail="Stock is empty")
+
+    reshuffles = result["reshuffles"] or []
+    if isinstance(reshuffles, str):
+        reshuffles = json.loads(reshuffles)
+    # Out of cards: refill from the discard pile, or call the round a draw
+    reshuffle_count = len(reshuffles)
+    stock, discard, ok = _refill_stock(
+        stock, discard, reshuffles, result["max_reshuffles"], user.sub, _load_json(result["fairness"], {})
+    )
+    events = []
+    if len(reshuffles) > reshuffle_count:
+        events.append(("reshuffle", user.sub, {"stock": list(stock), "discard": list(discard)}))
+    if not ok:
+        finished_at = await _finish_round_as_draw(
+            result["round_id"],
+            hands,
+            _load_json(result["drops"], {}),
+            _closing_scores(rules, hands, result["table_melds"]),
+            events,
+            result["version"],
+        )
+        if finished_at is None:
+            raise HTTPException(status_code=409, detail=ROUND_CONFLICT_DETAIL)
+        return RoundMeResponse(
+            table_id=body.table_id,
+            round_number=result["number"],
+            hand=_hand_view(my),
+            stock_count=0,
+            discard_top=_serialize_card_code(discard[-1]) if discard else None,
+            finished_at=finished_at.isoformat(),
+        )
 
     drawn = stock.pop()  # take top
     my.append(drawn)
+    events.append(("draw", user.sub, {"source": "stock", "card": drawn}))
+    drawn_by = _load_json(result["drawn_by"], [])
+    if user.sub not in drawn_by:
+        drawn_by.append(user.sub)
 
-    await execute(
-        """
-        UPDATE public.rummy_rounds
-        SET stock = $1::jsonb, hands = $2::jsonb, updated_at = now()
-        WHERE id = $3
-        """,
-        json.dumps(stock),
-        json.dumps(hands),
-        result["round_id"],
-    )
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET stock = $1::jsonb, hands = $2::jsonb, discard = $3::jsonb, reshuffles = $4::jsonb, drawn_by = $5::jsonb,
+                turn_drawn = true, buy_open = $8, version = version + 1, updated_at = now()
+            WHERE id = $6 AND version = $7
+            """,
+            json.dumps(stock),
+            json.dumps(hands),
+            json.dumps(discard),
+            json.dumps(reshuffles),
+            json.dumps(drawn_by),
+            result["round_id"],
+            result["version"],
+            # Passing on the discard by drawing from stock lets the others buy it
+            rules.buys_per_deal > 0 and bool(discard),
+        )
+        _require_updated(status)
+        await _log_events(result["round_id"], events, conn)
+    await publish(body.table_id, "draw", {
+        "round_number": result["number"],
+        "user_id": user.sub,
+        "source": "stock",
+        "stock_count": len(stock),
+        "discard_top": _serialize_card_code(discard[-1]) if discard else None,
+    })
 
     return RoundMeResponse(
         table_id=body.table_id,
@@ -753,23 +1903,25 @@ async def draw_stock(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse
 @router.post("/draw/discard")
 async def draw_discard(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse:
     start_time = time.time()
+    await _enforce_turn_timeout(body.table_id)
     # Single query: validate + fetch + update in one transaction
     result = await fetchrow(
         """
         WITH table_check AS (
-            SELECT t.id, t.status,
+            SELECT t.id, t.status, t.ruleset,
                    EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
             FROM public.rummy_tables t
             WHERE t.id = $1
         ),
         round_data AS (
-            SELECT id, number, stock, hands, discard, active_user_id, finished_at
+            SELECT id, number, stock, hands, discard, active_user_id, finished_at, drawn_by, drops, turn_drawn, version
             FROM public.rummy_rounds
             WHERE table_id = $1
             ORDER BY number DESC
             LIMIT 1
         )
-        SELECT t.id, t.status, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at
+        SELECT t.id, t.status, t.ruleset, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at, r.drawn_by, r.drops,
+               r.turn_drawn, r.version
         FROM table_check t
         LEFT JOIN round_data r ON true
         """,
@@ -785,6 +1937,8 @@ async def draw_discard(body: DrawRequest, user: AuthorizedUser) -> RoundMeRespon
         raise HTTPException(status_code=403, detail="Not part of the table")
     if not result["round_id"]:
         raise HTTPException(status_code=404, detail="No active round")
+    if result["finished_at"]:
+        raise HTTPException(status_code=400, detail="Round already finished")
     if result["active_user_id"] != user.sub:
         raise HTTPException(status_code=403, detail="Not your turn")
 
@@ -796,68 +1950,204 @@ async def draw_discard(body: DrawRequest, user: AuthorizedUser) -> RoundMeRespon
     my = hands.get(user.sub)
     if my is None:
         raise HTTPException(status_code=404, detail="No hand for this player")
-    if len(my) != 13:
+    rules = get_ruleset(result["ruleset"])
+    if rules.has_drawn(my, result["turn_drawn"]):
         raise HTTPException(status_code=400, detail="You must discard before drawing again")
     if not discard:
         raise HTTPException(status_code=400, detail="Discard pile is empty")
+    if body.depth != 1 and not rules.deep_discard_picks:
+        raise HTTPException(status_code=400, detail=f"{rules.title} only lets you take the top discard")
+    if not 1 <= body.depth <= len(discard):
+        raise HTTPException(status_code=400, detail=f"depth must be between 1 and {len(discard)}")
+
+    # A deep pick takes every card above the chosen one too; the chosen card must be melded this turn
+    picked = discard[-body.depth:]
+    del discard[-body.depth:]
+    my.extend(picked)
+    must_meld = picked[0] if body.depth > 1 else None
+    draw_event = {"source": "discard", "card": picked[-1]}
+    if must_meld:
+        draw_event["cards"] = picked
+    drawn_by = _load_json(result["drawn_by"], [])
+    if user.sub not in drawn_by:
+        drawn_by.append(user.sub)
+
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET discard = $1::jsonb, hands = $2::jsonb, drawn_by = $3::jsonb, turn_drawn = true, must_meld = $6::jsonb,
+                buy_open = false, version = version + 1, updated_at = now()
+            WHERE id = $4 AND version = $5
+            """,
+            json.dumps(discard),
+            json.dumps(hands),
+            json.dumps(drawn_by),
+            result["round_id"],
+            result["version"],
+            json.dumps(must_meld) if must_meld else None,
+        )
+        _require_updated(status)
+        await _log_events(result["round_id"], [("draw", user.sub, draw_event)], conn)
+    await publish(body.table_id, "draw", {
+        "round_number": result["number"],
+        "user_id": user.sub,
+        "source": "discard",
+        "depth": body.depth,
+        "stock_count": len(stock),
+        "discard_top": _serialize_card_code(discard[-1]) if discard else None,
+    })
 
-    drawn = discard.pop()
-    my.append(drawn)
+    return RoundMeResponse(
+        table_id=body.table_id,
+        round_number=result["number"],
+        hand=_hand_view(my),
+        stock_count=len(stock),
+        discard_top=_serialize_card_code(discard[-1]) if discard else None,
+        finished_at=result["finished_at"].isoformat() if result["finished_at"] else None,
+    )
 
-    await execute(
+
+def _buys_left(rules, buys: dict, user_id: str) -> int:
+    return max(0, rules.buys_per_deal - buys.get(user_id, 0))
+
+
+@router.post("/draw/buy")
+async def buy_discard(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse:
+    """Contract rummy: take the top discard out of turn, plus a penalty card from the stock.
+
+    Open once the player in turn has passed on that discard by drawing from the stock.
+    """
+    await _enforce_turn_timeout(body.table_id)
+    rnd = await fetchrow(
         """
-        UPDATE public.rummy_rounds
-        SET discard = $1::jsonb, hands = $2::jsonb, updated_at = now()
-        WHERE id = $3
+        SELECT r.id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at, r.buy_open, r.buys,
+               r.reshuffles, r.fairness, r.version, t.status, t.ruleset, t.max_reshuffles
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id
+        WHERE r.table_id = $1
+        ORDER BY r.number DESC
+        LIMIT 1
         """,
-        json.dumps(discard),
-        json.dumps(hands),
-        result["round_id"],
+        body.table_id,
     )
+    if not rnd:
+        raise HTTPException(status_code=404, detail="No active round")
+    await _assert_member(body.table_id, user.sub)
+    rules = get_ruleset(rnd["ruleset"])
+    if not rules.buys_per_deal:
+        raise HTTPException(status_code=400, detail=f"{rules.title} has no buying")
+    if rnd["status"] != "playing":
+        raise HTTPException(status_code=400, detail="Game not in playing state")
+    if rnd["finished_at"]:
+        raise HTTPException(status_code=400, detail="Round already finished")
+    if rnd["active_user_id"] == user.sub:
+        raise HTTPException(status_code=400, detail="It's your turn - draw the discard instead of buying it")
+    if not rnd["buy_open"]:
+        raise HTTPException(status_code=400, detail="The discard can only be bought after the player in turn draws from the stock")
+
+    hands = _load_json(rnd["hands"], {})
+    my = hands.get(user.sub)
+    if my is None:
+        raise HTTPException(status_code=404, detail="No hand for this player")
+    buys = _load_json(rnd["buys"], {})
+    if not _buys_left(rules, buys, user.sub):
+        raise HTTPException(status_code=400, detail=f"You have used all {rules.buys_per_deal} buys this deal")
+
+    stock = _load_json(rnd["stock"], [])
+    discard = _load_json(rnd["discard"], [])
+    bought = discard.pop()
+    reshuffles = _load_json(rnd["reshuffles"], [])
+    reshuffle_count = len(reshuffles)
+    stock, discard, ok = _refill_stock(
+        stock, discard, reshuffles, rnd["max_reshuffles"], user.sub, _load_json(rnd["fairness"], {})
+    )
+    if not ok:
+        raise HTTPException(status_code=400, detail="No penalty card left in the stock to buy with")
+    events = []
+    if len(reshuffles) > reshuffle_count:
+        # Logged with the bought card still on the pile, which the buy event then takes
+        events.append(("reshuffle", user.sub, {"stock": list(stock), "discard": list(discard) + [bought]}))
+    penalty = stock.pop()
+    my.extend([bought, penalty])
+    buys[user.sub] = buys.get(user.sub, 0) + 1
+    events.append(("buy", user.sub, {"card": bought, "penalty_card": penalty}))
+
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET stock = $1::jsonb, discard = $2::jsonb, hands = $3::jsonb, buys = $4::jsonb, reshuffles = $5::jsonb,
+                buy_open = false, version = version + 1, updated_at = now()
+            WHERE id = $6 AND version = $7
+            """,
+            json.dumps(stock),
+            json.dumps(discard),
+            json.dumps(hands),
+            json.dumps(buys),
+            json.dumps(reshuffles),
+            rnd["id"],
+            rnd["version"],
+        )
+        _require_updated(status)
+        await _log_events(rnd["id"], events, conn)
+    await publish(body.table_id, "buy", {
+        "round_number": rnd["number"],
+        "user_id": user.sub,
+        "card": _serialize_card_code(bought),
+        "stock_count": len(stock),
+        "discard_top": _serialize_card_code(discard[-1]) if discard else None,
+    })
 
     return RoundMeResponse(
         table_id=body.table_id,
-        round_number=result["number"],
+        round_number=rnd["number"],
         hand=_hand_view(my),
         stock_count=len(stock),
         discard_top=_serialize_card_code(discard[-1]) if discard else None,
-        finished_at=result["finished_at"].isoformat() if result["finished_at"] else None,
+        active_user_id=rnd["active_user_id"],
+        buys_left=_buys_left(rules, buys, user.sub),
     )
 
 
 @router.post("/discard")
 async def discard_card(body: DiscardRequest, user: AuthorizedUser) -> DiscardResponse:
     start_time = time.time()
+    await _enforce_turn_timeout(body.table_id)
     # Single query: validate + fetch seats + round data
     result = await fetchrow(
         """
         WITH table_check AS (
-            SELECT t.id, t.status,
+            SELECT t.id, t.status, t.time_bank_seconds, t.ruleset,
                    EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
             FROM public.rummy_tables t
             WHERE t.id = $1
         ),
         round_data AS (
-            SELECT id, number, stock, hands, discard, active_user_id
+            SELECT id, number, stock, hands, discard, active_user_id, turn_deadline, time_banks, timeouts, turn_drawn, must_meld,
+                   table_melds, drops, version
             FROM public.rummy_rounds
             WHERE table_id = $1
             ORDER BY number DESC
             LIMIT 1
         ),
         seat_order AS (
-            SELECT user_id, seat
+            SELECT user_id, seat, is_spectator
             FROM public.rummy_table_players
-            WHERE table_id = $1 AND is_spectator = false
+            WHERE table_id = $1
             ORDER BY seat ASC
         )
         SELECT 
-            t.id, t.status, t.is_member, 
+            t.id, t.status, t.time_bank_seconds, t.ruleset, t.is_member, 
             r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id,
-            json_agg(s.user_id ORDER BY s.seat) AS user_order
+            r.turn_deadline, r.time_banks, r.timeouts, r.turn_drawn, r.must_meld, r.table_melds, r.drops, r.version,
+            json_agg(json_build_object('user_id', s.user_id, 'is_spectator', s.is_spectator) ORDER BY s.seat) AS seats
         FROM table_check t
         LEFT JOIN round_data r ON true
         LEFT JOIN seat_order s ON true
-        GROUP BY t.id, t.status, t.is_member, r.id, r.number, r.stock, r.hands, r.discard, r.active_user_id
+        GROUP BY t.id, t.status, t.time_bank_seconds, t.ruleset, t.is_member, r.id, r.number, r.stock, r.hands, r.discard,
+                 r.active_user_id, r.turn_deadline, r.time_banks, r.timeouts, r.turn_drawn, r.must_meld, r.table_melds,
+                 r.drops, r.version
         """,
         body.table_id,
         user.sub,
@@ -878,13 +2168,20 @@ async def discard_card(body: DiscardRequest, user: AuthorizedUser) -> DiscardRes
     hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
     stock = json.loads(result["stock"]) if isinstance(result["stock"], str) else result["stock"]
     discard = json.loads(result["discard"]) if isinstance(result["discard"], str) else result["discard"]
-    order = json.loads(result["user_order"]) if isinstance(result["user_order"], str) else result["user_order"]
+    seats = json.loads(result["seats"]) if isinstance(result["seats"], str) else result["seats"]
 
     my = hands.get(user.sub)
     if my is None:
         raise HTTPException(status_code=404, detail="No hand for this player")
-    if len(my) != 14:
+    rules = get_ruleset(result["ruleset"])
+    if not rules.has_drawn(my, result["turn_drawn"]):
         raise HTTPException(status_code=400, detail="You must draw first before discarding")
+    must_meld = _load_json(result["must_meld"], None)
+    if must_meld:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Meld the {_serialize_card_code(must_meld)} you picked from the discard pile before discarding",
+        )
 
     # Remove first matching card
     idx_to_remove = None
@@ -903,22 +2200,64 @@ async def discard_card(body: DiscardRequest, user: AuthorizedUser) -> DiscardRes
     discard.append(removed)
 
     # Find next active user
-    if user.sub not in order:
+    if not any(s["user_id"] == user.sub for s in seats):
         raise HTTPException(status_code=400, detail="Player has no seat")
-    cur_idx = order.index(user.sub)
-    next_user = order[(cur_idx + 1) % len(order)]
+    next_user = _next_user(seats, hands, user.sub)
 
-    await execute(
-        """
-        UPDATE public.rummy_rounds
-        SET discard = $1::jsonb, hands = $2::jsonb, active_user_id = $3, updated_at = now()
-        WHERE id = $4
-        """,
-        json.dumps(discard),
-        json.dumps(hands),
-        next_user,
-        result["round_id"],
+    # Acting in time clears the timeout streak; running late eats into the time bank
+    time_banks = _charge_time_bank(
+        _load_json(result["time_banks"], {}), user.sub, result["turn_deadline"], result["time_bank_seconds"]
     )
+    timeouts = _load_json(result["timeouts"], {})
+    timeouts[user.sub] = 0
+
+    # Going out with the last discard ends the round in the same versioned write,
+    # so no other request can act on the turn it hands over
+    went_out = not my and bool(rules.table_melds)
+    events = [("discard", user.sub, {"card": removed, "next_user_id": next_user})]
+    scores = None
+    if went_out:
+        scores = _closing_scores(rules, hands, result["table_melds"])
+        scores.update(_drop_scores(_load_json(result["drops"], {})))
+        events.append(("round_finished", None, {"winner_user_id": user.sub, "scores": scores}))
+
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET discard = $1::jsonb, hands = $2::jsonb, active_user_id = $3, time_banks = $4::jsonb, timeouts = $5::jsonb,
+                turn_deadline = now() + (SELECT turn_seconds FROM public.rummy_tables WHERE id = $6) * interval '1 second',
+                turn_drawn = false, buy_open = false,
+                winner_user_id = CASE WHEN $9 THEN $10 ELSE winner_user_id END,
+                scores = CASE WHEN $9 THEN $11::jsonb ELSE scores END,
+                finished_at = CASE WHEN $9 THEN now() ELSE finished_at END,
+                version = version + 1, updated_at = now()
+            WHERE id = $7 AND version = $8
+            """,
+            json.dumps(discard),
+            json.dumps(hands),
+            next_user,
+            json.dumps(time_banks),
+            json.dumps(timeouts),
+            body.table_id,
+            result["round_id"],
+            result["version"],
+            went_out,
+            user.sub,
+            json.dumps(scores) if went_out else None,
+        )
+        _require_updated(status)
+        await _log_events(result["round_id"], events, conn)
+    await publish(body.table_id, "turn", {
+        "round_number": result["number"],
+        "discarded_by": user.sub,
+        "discard_top": _serialize_card_code(removed),
+        "stock_count": len(stock),
+        "active_user_id": next_user,
+    })
+    if went_out:
+        await publish(body.table_id, "round_finished", {"round_number": result["number"], "winner_user_id": user.sub})
+        await _settle_points_round(result["round_id"])
 
     return DiscardResponse(
         table_id=body.table_id,
@@ -930,12 +2269,416 @@ async def discard_card(body: DiscardRequest, user: AuthorizedUser) -> DiscardRes
     )
 
 
+# -------- Table melds (Rummy 500) --------
+# On table-meld rulesets the melds live in rummy_rounds.table_melds, a list of
+# {id, owner, kind, cards, laid_by} where laid_by names who laid each card, since
+# cards laid off on someone else's meld still score for the player who laid them.
+class TableMeld(BaseModel):
+    id: int
+    owner: str  # who laid the meld down
+    kind: str  # "pure_sequence" (a run) or "set"
+    cards: List[CardView]
+    laid_by: List[str]  # user_id per card, in card order
+
+
+class TableMeldsResponse(BaseModel):
+    table_id: str
+    round_number: int
+    melds: List[TableMeld]
+    points: Dict[str, int]  # what each player's cards on the table are worth so far
+    must_meld: Optional[CardView] = None  # deep discard pick the active player still has to meld
+    contract: Optional[Contract] = None  # contract rummy: what this deal requires to go down
+    finished_at: Optional[str] = None
+
+
+class LayMeldRequest(BaseModel):
+    table_id: str
+    cards: List[DiscardCard] = []
+    meld_id: Optional[int] = None  # lay the cards off on this table meld instead of starting a new one
+    groups: Optional[List[List[DiscardCard]]] = None  # several new melds at once (going down with a contract)
+
+
+class LayMeldResponse(TableMeldsResponse):
+    hand: List[CardView]
+
+
+def _round_contract(rules, tbl, round_number: int) -> Optional[dict]:
+    if not rules.contracts:
+        return None
+    return rules.contract_for(_load_json(tbl["contract_schedule"], None), round_number)
+
+
+def _table_melds_view(table_id: str, rnd, rules, table_melds: List[dict], must_meld: Optional[dict], **extra) -> dict:
+    return dict(
+        table_id=table_id,
+        round_number=rnd["number"],
+        melds=[
+            TableMeld(id=m["id"], owner=m["owner"], kind=m["kind"], cards=_hand_view(m["cards"]), laid_by=m["laid_by"])
+            for m in table_melds
+        ],
+        points=rules.round_scores({}, table_melds),
+        must_meld=_hand_view([must_meld])[0] if must_meld else None,
+        contract=_round_contract(rules, rnd, rnd["number"]),
+        **extra,
+    )
+
+
+@router.get("/round/melds")
+async def get_table_melds(table_id: str, user: AuthorizedUser) -> TableMeldsResponse:
+    """Everyone's melds on the table in the current round (Rummy 500)."""
+    await _assert_member(table_id, user.sub)
+    rnd = await fetchrow(
+        """
+        SELECT r.number, r.table_melds, r.must_meld, r.finished_at, t.ruleset, t.contract_schedule
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id
+        WHERE r.table_id = $1
+        ORDER BY r.number DESC
+        LIMIT 1
+        """,
+        table_id,
+    )
+    if not rnd:
+        raise HTTPException(status_code=404, detail="No round found")
+    rules = get_ruleset(rnd["ruleset"])
+    if not rules.table_melds:
+        raise HTTPException(status_code=400, detail=f"{rules.title} has no table melds")
+    return TableMeldsResponse(**_table_melds_view(
+        table_id,
+        rnd,
+        rules,
+        _load_json(rnd["table_melds"], []),
+        _load_json(rnd["must_meld"], None),
+        finished_at=rnd["finished_at"].isoformat() if rnd["finished_at"] else None,
+    ))
+
+
+@router.post("/melds/lay")
+async def lay_meld(body: LayMeldRequest, user: AuthorizedUser) -> LayMeldResponse:
+    """Lay cards on the table after drawing: new melds (cards, or several groups at
+    once), or a lay-off onto anyone's meld with meld_id. Playing the last card from
+    hand ends the round."""
+    await _enforce_turn_timeout(body.table_id)
+    rnd = await fetchrow(
+        """
+        SELECT r.id, r.number, r.hands, r.active_user_id, r.finished_at, r.turn_drawn, r.must_meld, r.table_melds,
+               r.drops, r.version, t.status, t.ruleset, t.contract_schedule
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id
+        WHERE r.table_id = $1
+        ORDER BY r.number DESC
+        LIMIT 1
+        """,
+        body.table_id,
+    )
+    if not rnd:
+        raise HTTPException(status_code=404, detail="No active round")
+    await _assert_member(body.table_id, user.sub)
+    rules = get_ruleset(rnd["ruleset"])
+    if not rules.table_melds:
+        raise HTTPException(status_code=400, detail=f"{rules.title} has no table melds")
+    if rnd["status"] != "playing":
+        raise HTTPException(status_code=400, detail="Game not in playing state")
+    if rnd["finished_at"]:
+        raise HTTPException(status_code=400, detail="Round already finished")
+    if rnd["active_user_id"] != user.sub:
+        raise HTTPException(status_code=403, detail="Not your turn")
+
+    hands = _load_json(rnd["hands"], {})
+    my = hands.get(user.sub)
+    if my is None:
+        raise HTTPException(status_code=404, detail="No hand for this player")
+    if not rules.has_drawn(my, rnd["turn_drawn"]):
+        raise HTTPException(status_code=400, detail="Draw before laying down cards")
+    if body.groups and body.meld_id is not None:
+        raise HTTPException(status_code=400, detail="Lay off one group of cards at a time")
+    request_groups = body.groups or [body.cards]
+    if not all(request_groups):
+        raise HTTPException(status_code=400, detail="No cards to lay down")
+
+    # Take the cards out of the hand first so the melds hold the hand's own copies
+    remaining = list(my)
+    groups = []
+    for group in request_groups:
+        taken = []
+        for card in group:
+            wanted = card.model_dump()
+            match = next((c for c in remaining if same_card(c, wanted)), None)
+            if match is None:
+                raise HTTPException(status_code=400, detail=f"{_serialize_card_code(wanted)} is not in your hand")
+            remaining.remove(match)
+            taken.append(match)
+        groups.append(taken)
+    cards = [c for group in groups for c in group]
+
+    table_melds = _load_json(rnd["table_melds"], [])
+    touched = []
+    if body.meld_id is None:
+        kinds, problem = rules.check_new_melds(groups, user.sub, table_melds, _round_contract(rules, rnd, rnd["number"]))
+        if problem:
+            raise HTTPException(status_code=400, detail=problem)
+        for group, kind in zip(groups, kinds):
+            meld = {
+                "id": max((m["id"] for m in table_melds), default=0) + 1,
+                "owner": user.sub,
+                "kind": kind,
+                "cards": group,
+                "laid_by": [user.sub] * len(group),
+            }
+            table_melds.append(meld)
+            touched.append(meld)
+    else:
+        meld = next((m for m in table_melds if m["id"] == body.meld_id), None)
+        if meld is None:
+            raise HTTPException(status_code=404, detail="Meld not found on the table")
+        problem = rules.check_lay_off(user.sub, table_melds)
+        if problem:
+            raise HTTPException(status_code=400, detail=problem)
+        if not rules.can_lay_off(meld["cards"], cards):
+            raise HTTPException(status_code=400, detail="Those cards don't extend that meld")
+        meld["cards"] = meld["cards"] + cards
+        meld["laid_by"] = meld["laid_by"] + [user.sub] * len(cards)
+        touched.append(meld)
+    for meld in touched:
+        meld["cards"], meld["laid_by"] = rules.arrange_meld(meld["cards"], meld["laid_by"])
+
+    must_meld = _load_json(rnd["must_meld"], None)
+    if must_meld and any(c["rank"] == must_meld["rank"] and c.get("suit") == must_meld.get("suit") for c in cards):
+        must_meld = None
+    hands[user.sub] = remaining
+
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET hands = $1::jsonb, table_melds = $2::jsonb, must_meld = $3::jsonb, version = version + 1, updated_at = now()
+            WHERE id = $4 AND version = $5
+            """,
+            json.dumps(hands),
+            json.dumps(table_melds),
+            json.dumps(must_meld) if must_meld else None,
+            rnd["id"],
+            rnd["version"],
+        )
+        _require_updated(status)
+        await _log_events(rnd["id"], [("meld", user.sub, {"meld_ids": [m["id"] for m in touched], "cards": cards})], conn)
+    await publish(body.table_id, "melds", {
+        "round_number": rnd["number"],
+        "user_id": user.sub,
+        "meld_ids": [m["id"] for m in touched],
+        "laid_off": body.meld_id is not None,
+        "hand_count": len(remaining),
+    })
+
+    finished_at = None
+    if not remaining:
+        # Melded out: the round ends without a discard
+        finished_at = await _finish_round(
+            rnd["id"], user.sub, hands, _load_json(rnd["drops"], {}), rules.round_scores(hands, table_melds)
+        )
+    return LayMeldResponse(
+        hand=_hand_view(remaining),
+        **_table_melds_view(
+            body.table_id, rnd, rules, table_melds, must_meld,
+            finished_at=finished_at.isoformat() if finished_at else None,
+        ),
+    )
+
+
+# -------- Discard advisor --------
+# Hints for the caller's own hand (see libs/advisor): before drawing, whether the
+# discard pile's top card helps; after drawing, the likeliest discards ranked by
+# the deadwood they leave. Hosts switch hints off for competitive tables, and
+# rulesets whose hands are too big to search per request don't offer them.
+
+# user_id -> (round id, round version, HintResponse): a hint only changes with the
+# round, so repeat polls between moves reuse the last answer instead of searching
+_hint_cache: Dict[str, tuple] = {}
+
+class HintsSettingRequest(BaseModel):
+    table_id: str
+    enabled: bool
+
+
+@router.post("/tables/hints")
+async def set_table_hints(body: HintsSettingRequest, user: AuthorizedUser):
+    """Host switches the discard advisor on or off for the whole table, before play starts."""
+    tbl = await fetchrow("SELECT host_user_id, status FROM public.rummy_tables WHERE id = $1", body.table_id)
+    if not tbl:
+        raise HTTPException(status_code=404, detail="Table not found")
+    if tbl["host_user_id"] != user.sub:
+        raise HTTPException(status_code=403, detail="Only host can change hint settings")
+    if tbl["status"] == "playing":
+        # Players at a game in progress all started under the same setting
+        raise HTTPException(status_code=400, detail="Hint settings can't change while a game is in progress")
+    await execute("UPDATE public.rummy_tables SET hints_enabled = $1 WHERE id = $2", body.enabled, body.table_id)
+    await publish(body.table_id, "hints", {"enabled": body.enabled})
+    return {"success": True}
+
+
+class DiscardOption(BaseModel):
+    card: CardView
+    deadwood_points: int  # best deadwood left after throwing this card
+    melds: List[List[CardView]]  # the arrangement that gets there
+    deadwood: List[CardView]
+
+
+class DiscardTopRating(BaseModel):
+    card: CardView
+    current_points: int  # best deadwood with the hand as it is
+    points_with_card: int  # best deadwood after taking it and throwing a card already held
+    improves: bool
+
+
+class HintResponse(BaseModel):
+    discards: List[DiscardOption] = []  # the likeliest throws, least deadwood first, once the caller has drawn
+    discard_top: Optional[DiscardTopRating] = None  # before the caller draws, if the pile has a card
+
+
+@router.get("/round/hint")
+async def get_hint(table_id: str, user: AuthorizedUser) -> HintResponse:
+    """Advice for the caller's hand, judged with their own joker reveal state."""
+    await _assert_member(table_id, user.sub)
+    tbl = await fetchrow("SELECT ruleset, hints_enabled FROM public.rummy_tables WHERE id = $1", table_id)
+    if not tbl:
+        raise HTTPException(status_code=404, detail="Table not found")
+    rules = get_ruleset(tbl["ruleset"])
+    if not rules.hints:
+        raise HTTPException(status_code=400, detail=f"{rules.title} has no hints")
+    if not tbl["hints_enabled"]:
+        raise HTTPException(status_code=403, detail="Hints are switched off at this table")
+    rnd = await _get_latest_round(table_id)
+    if not rnd or rnd["finished_at"]:
+        raise HTTPException(status_code=404, detail="No active round")
+    hand = _load_json(rnd["hands"], {}).get(user.sub)
+    if not hand:
+        raise HTTPException(status_code=404, detail="No hand found for player")
+
+    wild_joker_rank = rnd["wild_joker_rank"]
+    revealed = _wild_joker_active_for(rnd["game_mode"], _load_json(rnd["players_with_first_sequence"], []), user.sub)
+    ace_value = rnd["ace_value"] or 10
+    cached = _hint_cache.get(user.sub)
+    if cached and cached[:2] == (rnd["id"], rnd["version"]):
+        return cached[2]
+
+    # A handful of bounded meld searches - still worth keeping off the event loop
+    if len(hand) > rules.hand_size:
+        options = await asyncio.to_thread(rank_discards, rules, hand, wild_joker_rank, revealed, ace_value)
+        hint = HintResponse(discards=[
+            DiscardOption(
+                card=_hand_view([option["card"]])[0],
+                deadwood_points=option["points"],
+                melds=[_hand_view(meld) for meld in option["melds"]],
+                deadwood=_hand_view(option["deadwood"]),
+            )
+            for option in options
+        ])
+    else:
+        discard = _load_json(rnd["discard"], [])
+        hint = HintResponse()
+        if discard:
+            top = discard[-1]
+            rating = await asyncio.to_thread(rate_discard_top, rules, hand, top, wild_joker_rank, revealed, ace_value)
+            hint = HintResponse(discard_top=DiscardTopRating(
+                card=_hand_view([top])[0],
+                current_points=rating["current"],
+                points_with_card=rating["with_top"],
+                improves=rating["gain"] > 0,
+            ))
+    _hint_cache[user.sub] = (rnd["id"], rnd["version"], hint)
+    return hint
+
+
 # -------- Declaration and scoring --------
 class DeclareRequest(BaseModel):
     table_id: str
-    # For now, accept a simple client-declared payload; server will validate later
-    # We'll store player's grouped melds as-is and compute naive score 0 if valid later
+    # 13 of the declarer's 14 cards grouped into melds; the card left out is discarded
+    # Gin knocks send only their melds; the rest of the hand is deadwood
     groups: Optional[List[List[DiscardCard]]] = None
+    discard: Optional[DiscardCard] = None  # Gin: the card thrown when knocking, if not the only card left over
+
+
+class MeldVerdict(BaseModel):
+    cards: List[str]  # card codes as submitted
+    kind: Optional[str] = None  # "pure_sequence", "sequence", "set" or None if invalid
+    valid: bool
+    reason: str
+
+
+def _group_verdicts(rules, groups: List[List[dict]], melds: List[List[dict]], wild_joker_rank: Optional[str], revealed: bool) -> List[MeldVerdict]:
+    """Verdicts for a player's own groups; valid means the group protects its cards
+    in melds (see RuleSet.score_arrangement)."""
+    verdicts = []
+    for group in groups:
+        kind, reason = rules.classify_meld(group, wild_joker_rank, revealed)
+        counts = group in melds
+        if kind and not counts:
+            reason = "Only counts alongside the sequences a show needs"
+        verdicts.append(MeldVerdict(cards=[_serialize_card_code(c) for c in group], kind=kind, valid=counts, reason=reason))
+    return verdicts
+
+
+class CheckGroupsRequest(BaseModel):
+    table_id: str
+    groups: List[List[DiscardCard]]  # cards from the caller's hand; cards left out count as deadwood
+
+
+class CheckGroupsResponse(BaseModel):
+    melds: List[MeldVerdict]  # one per group, in order
+    deadwood: List[CardView]  # cards that would still count: failed groups and cards left out
+    deadwood_points: int
+    can_declare: bool  # declaring with these groups now would be a valid show (or knock)
+    declare_reason: str  # why not, or the verdict's summary when it would be
+
+
+@router.post("/declare/check")
+async def check_groups(body: CheckGroupsRequest, user: AuthorizedUser) -> CheckGroupsResponse:
+    """Check proposed groups against the caller's hand without playing anything.
+
+    Judged with the caller's own joker reveal state, so the verdicts match what a
+    declaration would get. Nothing is stored or published.
+    """
+    await _assert_member(body.table_id, user.sub)
+    tbl = await fetchrow("SELECT ruleset FROM public.rummy_tables WHERE id = $1", body.table_id)
+    rnd = await _get_latest_round(body.table_id)
+    if not tbl or not rnd or rnd["finished_at"]:
+        raise HTTPException(status_code=404, detail="No active round")
+    hand = _load_json(rnd["hands"], {}).get(user.sub)
+    if not hand:
+        raise HTTPException(status_code=404, detail="No hand found for player")
+
+    groups = [[card.model_dump() for card in group] for group in body.groups if group]
+    left_out = list(hand)
+    if not all(_take_matching(left_out, card) for group in groups for card in group):
+        raise HTTPException(status_code=400, detail="Groups must use cards from your hand")
+
+    rules = get_ruleset(tbl["ruleset"])
+    wild_joker_rank = rnd["wild_joker_rank"]
+    revealed = _wild_joker_active_for(rnd["game_mode"], _load_json(rnd["players_with_first_sequence"], []), user.sub)
+    melds, deadwood, points = rules.score_arrangement(
+        groups + [[card] for card in left_out], wild_joker_rank, revealed, rnd["ace_value"] or 10
+    )
+
+    if rules.table_melds:
+        can_declare, declare_reason = False, f"{rules.title} rounds end when a player has melded or discarded every card"
+    elif rnd["active_user_id"] != user.sub or len(hand) != rules.hand_size + 1:
+        can_declare, declare_reason = False, "Draw a card on your turn before declaring"
+    else:
+        if rules.knocking:
+            # Judge the knock as if the costliest loose card were thrown
+            throw = max(left_out, key=rules.card_points, default=None)
+            verdict = rules.validate_knock(hand, groups, throw)
+        else:
+            verdict = rules.validate_declaration(hand, groups, wild_joker_rank, revealed)
+        can_declare, declare_reason = verdict["valid"], verdict["reason"]
+
+    return CheckGroupsResponse(
+        melds=_group_verdicts(rules, groups, melds, wild_joker_rank, revealed),
+        deadwood=_hand_view(deadwood),
+        deadwood_points=points,
+        can_declare=can_declare,
+        declare_reason=declare_reason,
+    )
 
 
 class DeclareResponse(BaseModel):
@@ -943,6 +2686,9 @@ class DeclareResponse(BaseModel):
     round_number: int
     declared_by: str
     status: str
+    reason: str = ""
+    melds: List[MeldVerdict] = []
+    knock: Optional[dict] = None  # Gin: deadwood on both sides, lay-offs, gin and undercut flags
 
 
 class ScoreEntry(BaseModel):
@@ -955,15 +2701,17 @@ class ScoreboardResponse(BaseModel):
     round_number: int
     scores: List[ScoreEntry]
     winner_user_id: Optional[str] = None
+    eliminated: List[str] = []  # pool: players out after this round
+    rejoin_score: Optional[int] = None  # pool: total an eliminated player would re-join at, if allowed now
 
 
 @router.post("/declare")
 async def declare(body: DeclareRequest, user: AuthorizedUser) -> DeclareResponse:
     try:
-        # Declare endpoint - validates meld groups (13 cards) not full hand (can be 14 after draw)
+        # Declare endpoint - validates meld groups against the declarer's hand under the table's ruleset
         # Only the active player can declare for now
         tbl = await fetchrow(
-            "SELECT id, status FROM public.rummy_tables WHERE id = $1",
+            "SELECT id, status, ruleset, finish_seconds FROM public.rummy_tables WHERE id = $1",
             body.table_id,
         )
         if not tbl:
@@ -971,10 +2719,13 @@ async def declare(body: DeclareRequest, user: AuthorizedUser) -> DeclareResponse
         if tbl["status"] != "playing":
             raise HTTPException(status_code=400, detail="Game not in playing state")
         await _assert_member(body.table_id, user.sub)
+        rules = get_ruleset(tbl["ruleset"])
 
         rnd = await _get_latest_round(body.table_id)
         if not rnd:
             raise HTTPException(status_code=404, detail="No active round")
+        if rnd["finished_at"]:
+            raise HTTPException(status_code=400, detail="Round already finished")
         if rnd["active_user_id"] != user.sub:
             raise HTTPException(status_code=403, detail="Only active player may declare")
 
@@ -992,142 +2743,116 @@ async def declare(body: DeclareRequest, user: AuthorizedUser) -> DeclareResponse
                 players_with_first_sequence = json.loads(players_with_first_sequence)
             except:
                 players_with_first_sequence = []
-        has_wild_joker_revealed = user.sub in players_with_first_sequence
+        game_mode = rnd["game_mode"]
+        has_wild_joker_revealed = _wild_joker_active_for(game_mode, players_with_first_sequence, user.sub)
         
         # Get declarer's hand
         declarer_hand = hands.get(user.sub)
         if not declarer_hand:
             raise HTTPException(status_code=404, detail="No hand found for player")
         
-        # Check that player has exactly 14 cards (must have drawn before declaring)
-        if len(declarer_hand) != 14:
+        # Check that player has drawn before declaring
+        if rules.table_melds:
+            raise HTTPException(status_code=400, detail=f"{rules.title} rounds end when a player has melded or discarded every card")
+        if len(declarer_hand) != rules.hand_size + 1:
             raise HTTPException(
                 status_code=400, 
-                detail=f"Must have exactly 14 cards to declare. You have {len(declarer_hand)} cards. Please draw a card first."
+                detail=f"Must have exactly {rules.hand_size + 1} cards to declare. You have {len(declarer_hand)} cards. Please draw a card first."
             )
+        if not body.groups and not rules.knocking:
+            raise HTTPException(status_code=400, detail="Groups are required to declare")
         
-        # Validate hand if groups are provided
-        is_valid = False
-        validation_reason = ""
-        if body.groups:
-            # Check that groups contain exactly 13 cards total
-            total_cards_in_groups = sum(len(group) for group in body.groups)
-            if total_cards_in_groups != 13:
-                raise HTTPException(
-                    status_code=400, 
-                    detail=f"Groups must contain exactly 13 cards. You provided {total_cards_in_groups} cards."
-                )
-            
-            # Extract the 14th card (leftover) from hand that's not in groups
-            # Build count map of declared cards
-            declared_counts = {}
-            for group in body.groups:
-                for card in group:
-                    card_dict = card.model_dump() if hasattr(card, 'model_dump') else card
-                    key = f"{card_dict['rank']}-{card_dict.get('suit', 'null')}"
-                    declared_counts[key] = declared_counts.get(key, 0) + 1
-            
-            # Find the 14th card (not in declared melds)
-            auto_discard_card = None
-            temp_counts = declared_counts.copy()
-            for card in declarer_hand:
-                key = f"{card['rank']}-{card.get('suit', 'null')}"
-                if key not in temp_counts or temp_counts[key] == 0:
-                    auto_discard_card = card
-                    break
-                else:
-                    temp_counts[key] -= 1
-            
-            if not auto_discard_card:
-                raise HTTPException(status_code=500, detail="Could not identify 14th card")
-            
-            # Remove card from declarer's hand
-            updated_hand = [c for c in declarer_hand if c != auto_discard_card]
-            hands[user.sub] = updated_hand
-            
-            # Add to discard pile
-            discard_pile = json.loads(rnd["discard"]) if isinstance(rnd["discard"], str) else (rnd["discard"] or [])
-            discard_pile.append(auto_discard_card)
-            
-            # Update game state with auto-discard
-            await execute(
-                "UPDATE public.rummy_rounds SET hands = $1::jsonb, discard = $2::jsonb WHERE id = $3",
-                json.dumps(hands),
-                json.dumps(discard_pile),
-                rnd["id"]
-            )
-            
+        # Server-side validation against the declarer's real hand
+        groups = [[card.model_dump() for card in group] for group in body.groups or []]
+        if rules.knocking:
+            verdict = rules.validate_knock(declarer_hand, groups, body.discard.model_dump() if body.discard else None)
+            if not verdict["valid"]:
+                # A knock that doesn't stand is refused rather than penalised
+                raise HTTPException(status_code=400, detail=verdict["reason"])
+        else:
+            verdict = rules.validate_declaration(declarer_hand, groups, wild_joker_rank, has_wild_joker_revealed)
+        if verdict["discard"] is None:
+            # Groups don't match the hand at all - reject without ending the round
+            raise HTTPException(status_code=400, detail=verdict["reason"])
+        is_valid = verdict["valid"]
+        validation_reason = verdict["reason"]
+        
+        # The card left out of the groups is the closing discard
+        auto_discard_card = verdict["discard"]
+        updated_hand = list(declarer_hand)
+        updated_hand.remove(auto_discard_card)
+        hands[user.sub] = updated_hand
+        declarer_hand = updated_hand
+        
+        discard_pile = json.loads(rnd["discard"]) if isinstance(rnd["discard"], str) else (rnd["discard"] or [])
+        discard_pile.append(auto_discard_card)
+        
+        scores: dict = {}
+        organized_melds_all_players = {}
+        winner_user_id = user.sub if is_valid else None
+        knock_summary = None
+        value_cards = None
+        # A valid show opens the finish phase unless the table scores it straight away
+        finishing = is_valid and not rules.knocking and tbl["finish_seconds"] > 0 and len(hands) > 1
+        arrangements: dict = {}
+        if rules.knocking:
+            outcome = rules.score_knock(user.sub, hands, groups, verdict)
+            scores = outcome["scores"]
+            organized_melds_all_players = outcome["organized_melds"]
+            winner_user_id = outcome["winner"]
+            knock_summary = outcome["summary"]
+        elif is_valid:
             # Valid declaration: declarer gets 0 points, others get deadwood points
-            scores: dict = {}
-            organized_melds_all_players = {}
-            for uid, cards in hands.items():
-                if uid == user.sub:
-                    scores[uid] = 0
-                    # Store winner's declared melds - categorize them properly
-                    winner_pure_seqs = []
-                    winner_seqs = []
-                    winner_sets = []
-                    for group in body.groups:
-                        # Convert DiscardCard to dict for JSON serialization
-                        group_dicts = [card.model_dump() if hasattr(card, 'model_dump') else card for card in group]
-                        if is_pure_sequence(group_dicts, wild_joker_rank, has_wild_joker_revealed):
-                            winner_pure_seqs.append(group_dicts)
-                        elif is_sequence(group_dicts, wild_joker_rank, has_wild_joker_revealed):
-                            winner_seqs.append(group_dicts)
-                        elif is_set(group_dicts, wild_joker_rank, has_wild_joker_revealed):
-                            winner_sets.append(group_dicts)
-                    
-                    organized_melds_all_players[uid] = {
-                        "pure_sequences": winner_pure_seqs,
-                        "sequences": winner_seqs,
-                        "sets": winner_sets,
-                        "deadwood": []
-                    }
-                else:
-                    # Auto-organize opponent's hand to find best possible melds
-                    opponent_has_revealed = uid in players_with_first_sequence
-                    opponent_melds, opponent_leftover = auto_organize_hand(
-                        cards, wild_joker_rank, opponent_has_revealed
-                    )
-                    # Score only the ungrouped deadwood cards
-                    scores[uid] = calculate_deadwood_points(
-                        opponent_leftover, wild_joker_rank, opponent_has_revealed, ace_value
+            # Store winner's declared melds, categorized by the server verdict
+            winner_pure_seqs = []
+            winner_seqs = []
+            winner_sets = []
+            winner_tunnelas = []
+            for group_dicts, meld_verdict in zip(groups, verdict["melds"]):
+                if meld_verdict["kind"] == "pure_sequence":
+                    winner_pure_seqs.append(group_dicts)
+                elif meld_verdict["kind"] == "sequence":
+                    winner_seqs.append(group_dicts)
+                elif meld_verdict["kind"] == "set":
+                    winner_sets.append(group_dicts)
+                elif meld_verdict["kind"] == "tunnela":
+                    winner_tunnelas.append(group_dicts)
+
+            organized_melds_all_players[user.sub] = {
+                "pure_sequences": winner_pure_seqs,
+                "sequences": winner_seqs,
+                "sets": winner_sets,
+                "deadwood": []
+            }
+            if winner_tunnelas:
+                organized_melds_all_players[user.sub]["tunnelas"] = winner_tunnelas
+            if finishing:
+                # The others group their own cards before the show is scored (/round/arrange);
+                # bots take the auto-organizer's grouping
+                bot_ids = {
+                    r["user_id"]
+                    for r in await fetch(
+                        "SELECT user_id FROM public.rummy_table_players WHERE table_id = $1 AND is_bot", body.table_id
                     )
-                    # Convert opponent melds to plain dicts and categorize them
-                    opponent_melds_dicts = [
-                        [card.dict() if hasattr(card, 'dict') else card for card in meld]
-                        for meld in opponent_melds
-                    ]
-                    opponent_leftover_dicts = [
-                        card.dict() if hasattr(card, 'dict') else card for card in opponent_leftover
-                    ]
-                    
-                    # Categorize opponent melds
-                    opp_pure_seqs = []
-                    opp_seqs = []
-                    opp_sets = []
-                    for meld in opponent_melds_dicts:
-                        if is_pure_sequence(meld, wild_joker_rank, opponent_has_revealed):
-                            opp_pure_seqs.append(meld)
-                        elif is_sequence(meld, wild_joker_rank, opponent_has_revealed):
-                            opp_seqs.append(meld)
-                        elif is_set(meld, wild_joker_rank, opponent_has_revealed):
-                            opp_sets.append(meld)
-                    
-                    # Store opponent's auto-organized melds
-                    organized_melds_all_players[uid] = {
-                        "pure_sequences": opp_pure_seqs,
-                        "sequences": opp_seqs,
-                        "sets": opp_sets,
-                        "deadwood": opponent_leftover_dicts
-                    }
+                }
+                # The meld search takes seconds on big hands, so it runs off the event loop
+                for uid, cards in hands.items():
+                    if uid in bot_ids:
+                        arrangements[uid] = await asyncio.to_thread(
+                            _auto_arrangement, rules, cards, wild_joker_rank,
+                            _wild_joker_active_for(game_mode, players_with_first_sequence, uid), ace_value,
+                        )
+            else:
+                scores, value_cards = await asyncio.to_thread(
+                    _score_show, rules, user.sub, hands, {}, organized_melds_all_players,
+                    wild_joker_rank, game_mode, players_with_first_sequence, ace_value, _load_json(rnd["printed_joker"], None),
+                )
         else:
-            # Invalid declaration: declarer gets FULL hand deadwood points (80 cap), others get 0
-            has_revealed = user.sub in players_with_first_sequence
-            declarer_deadwood_pts = calculate_deadwood_points(declarer_hand, wild_joker_rank, has_revealed, ace_value)
+            # Invalid declaration: declarer gets the ruleset's wrong-show points, others get 0
+            declarer_deadwood_pts = rules.wrong_show_points(declarer_hand, wild_joker_rank, has_wild_joker_revealed, ace_value)
             for uid, cards in hands.items():
                 if uid == user.sub:
-                    scores[uid] = min(declarer_deadwood_pts, 80)  # Cap at 80
+                    scores[uid] = declarer_deadwood_pts
                     # Store declarer's ungrouped cards as all deadwood
                     declarer_cards_dicts = [
                         card.dict() if hasattr(card, 'dict') else card for card in declarer_hand
@@ -1148,34 +2873,80 @@ async def declare(body: DeclareRequest, user: AuthorizedUser) -> DeclareResponse
                         "deadwood": []
                     }
         
+        # Players who dropped out owe their drop penalty either way
+        if not finishing:
+            scores.update(_drop_scores(_load_json(rnd["drops"], {})))
+        
         # Store the declaration with validation status
         declaration_data = {
-            "groups": [[card.model_dump() if hasattr(card, 'model_dump') else card for card in group] for group in body.groups] if body.groups else [],
+            "groups": groups,
             "valid": is_valid,
             "reason": validation_reason,
+            "melds": verdict["melds"],
             "revealed_hands": hands,  # Already plain dicts from JSON parse
             "organized_melds": organized_melds_all_players
         }
+        if knock_summary:
+            declaration_data["knock"] = knock_summary
+        if value_cards:
+            declaration_data["value_cards"] = value_cards
         
-        await execute(
-            """
-            UPDATE public.rummy_rounds
-            SET winner_user_id = $1, scores = $2::jsonb, declarations = jsonb_set(COALESCE(declarations, '{}'::jsonb), $3, $4::jsonb, true), finished_at = now(), updated_at = now()
-            WHERE id = $5
-            """,
-            user.sub if is_valid else None,  # Only set winner if valid
-            json.dumps(scores),  # Convert dict to JSON string for JSONB
-            [user.sub],
-            json.dumps(declaration_data),  # Convert dict to JSON string for JSONB
-            rnd["id"],
-        )
+        async with transaction() as conn:
+            row = await conn.fetchrow(
+                """
+                UPDATE public.rummy_rounds
+                SET winner_user_id = $1, scores = $2::jsonb, declarations = jsonb_set(COALESCE(declarations, '{}'::jsonb), $3, $4::jsonb, true),
+                    hands = $6::jsonb, discard = $7::jsonb, arrangements = $10::jsonb,
+                    finish_deadline = CASE WHEN $9 THEN now() + $11::int * interval '1 second' END,
+                    finished_at = CASE WHEN $9 THEN NULL ELSE now() END,
+                    active_user_id = CASE WHEN $9 THEN NULL ELSE active_user_id END,
+                    turn_deadline = CASE WHEN $9 THEN NULL ELSE turn_deadline END,
+                    version = version + 1, updated_at = now()
+                WHERE id = $5 AND version = $8
+                RETURNING finish_deadline
+                """,
+                winner_user_id,  # Only set if valid; a Gin undercut goes to the defender
+                json.dumps(scores),  # Convert dict to JSON string for JSONB
+                [user.sub],
+                json.dumps(declaration_data),  # Convert dict to JSON string for JSONB
+                rnd["id"],
+                json.dumps(hands),
+                json.dumps(discard_pile),
+                rnd["version"],
+                finishing,
+                json.dumps(arrangements),
+                tbl["finish_seconds"],
+            )
+            if row is None:
+                raise HTTPException(status_code=409, detail=ROUND_CONFLICT_DETAIL)
+            events = [("declare", user.sub, {"valid": is_valid, "card": auto_discard_card, "groups": groups, "reason": validation_reason})]
+            if not finishing:
+                events.append(("round_finished", None, {"winner_user_id": winner_user_id, "scores": scores}))
+            await _log_events(rnd["id"], events, conn)
+        await publish(body.table_id, "declare", {
+            "round_number": rnd["number"],
+            "declared_by": user.sub,
+            "valid": is_valid,
+            "winner_user_id": winner_user_id,
+            "knock": knock_summary,
+            "status": "finishing" if finishing else "finished",
+            "finish_deadline": row["finish_deadline"].isoformat() if row["finish_deadline"] else None,
+        })
+        if finishing:
+            # Nobody left to wait for when the others are all bots
+            await _finish_show(rnd["id"])
+        else:
+            await _settle_points_round(rnd["id"])
 
         # Return success response (valid or invalid declaration both complete the round)
         return DeclareResponse(
             table_id=body.table_id,
             round_number=rnd["number"],
             declared_by=user.sub,
-            status="valid" if is_valid else "invalid"
+            status="valid" if is_valid else "invalid",
+            reason=validation_reason,
+            melds=[MeldVerdict(**m) for m in verdict["melds"]],
+            knock=knock_summary,
         )
     except HTTPException:
         raise  # Re-raise HTTP exceptions as-is
@@ -1183,6 +2954,249 @@ async def declare(body: DeclareRequest, user: AuthorizedUser) -> DeclareResponse
         raise HTTPException(status_code=500, detail=f"Internal error: {str(e)}")
 
 
+# -------- Finish phase --------
+# After a valid show the other players get finish_seconds (a table setting, 0 skips
+# this) to group their own cards with /round/arrange before the round is scored.
+# While that runs the round is "finishing": it has a finish_deadline but no
+# finished_at, and nobody holds the turn. Whoever hasn't arranged by the deadline
+# is auto-organized, lazily like the turn timer.
+
+def _round_status(rnd) -> str:
+    """"playing", "finishing" (others arranging after a show) or "finished"."""
+    if rnd["finished_at"]:
+        return "finished"
+    return "finishing" if rnd["finish_deadline"] else "playing"
+
+
+def _auto_arrangement(rules, cards: List[dict], wild_joker_rank: Optional[str], revealed: bool, ace_value: int) -> dict:
+    """A losing hand grouped by the server's meld search, as stored in arrangements."""
+    melds, deadwood, _ = rules.best_arrangement(cards, wild_joker_rank, revealed, ace_value)
+    points = rules.deadwood_points(deadwood, wild_joker_rank, revealed, ace_value)
+    return {"melds": melds, "deadwood": deadwood, "points": points, "auto": True}
+
+
+def _organized_melds(rules, melds: List[List[dict]], deadwood: List[dict], wild_joker_rank: Optional[str], revealed: bool) -> dict:
+    """Sort a hand's melds into the organized_melds categories the scoreboard shows."""
+    organized = {"pure_sequences": [], "sequences": [], "sets": [], "deadwood": list(deadwood)}
+    categories = {"pure_sequence": "pure_sequences", "sequence": "sequences", "set": "sets", "tunnela": "tunnelas"}
+    for meld in melds:
+        kind, _ = rules.classify_meld(meld, wild_joker_rank, revealed)
+        organized.setdefault(categories[kind], []).append(meld)
+    return organized
+
+
+def _score_show(
+    rules,
+    winner: str,
+    hands: dict,
+    arrangements: dict,
+    organized_melds: dict,
+    wild_joker_rank: Optional[str],
+    game_mode: Optional[str],
+    players_with_first_sequence: List[str],
+    ace_value: int,
+    printed_joker: Optional[dict],
+):
+    """Score a valid show: 0 for the winner, each other hand as its player arranged
+    it (auto-organized if they didn't), then the ruleset's bonuses. Fills in
+    organized_melds for the losers. Returns (scores, value_cards)."""
+    scores = {winner: 0}
+    for uid, cards in hands.items():
+        if uid == winner:
+            continue
+        revealed = _wild_joker_active_for(game_mode, players_with_first_sequence, uid)
+        arrangement = arrangements.get(uid) or _auto_arrangement(rules, cards, wild_joker_rank, revealed, ace_value)
+        scores[uid] = arrangement["points"]
+        organized_melds[uid] = _organized_melds(
+            rules, arrangement["melds"], arrangement["deadwood"], wild_joker_rank, revealed
+        )
+    return rules.adjust_scores(scores, winner, hands, organized_melds, printed_joker)
+
+
+def _still_arranging(hands: dict, winner: Optional[str], arrangements: dict) -> List[str]:
+    return [uid for uid in hands if uid != winner and uid not in arrangements]
+
+
+# Rounds whose show is being scored by some request; polls that find the finish
+# deadline passed meanwhile leave it to that one rather than repeat the search
+_scoring_shows: set = set()
+
+
+async def _finish_show(round_id: str, timed_out: bool = False) -> bool:
+    """Score a finishing round once everyone has arranged, or when timed_out by
+    auto-organizing whoever hasn't. Returns True if this call finished the round."""
+    if round_id in _scoring_shows:
+        return False
+    _scoring_shows.add(round_id)
+    try:
+        return await _score_finishing_round(round_id, timed_out)
+    finally:
+        _scoring_shows.discard(round_id)
+
+
+async def _score_finishing_round(round_id: str, timed_out: bool) -> bool:
+    rnd = await fetchrow(
+        """
+        SELECT r.id, r.table_id, r.number, r.hands, r.winner_user_id, r.declarations, r.arrangements, r.drops,
+               r.wild_joker_rank, r.ace_value, r.players_with_first_sequence, r.printed_joker,
+               r.finished_at, r.finish_deadline, r.version, t.ruleset,
+               COALESCE(r.game_mode, t.wild_joker_mode) AS game_mode
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id
+        WHERE r.id = $1
+        """,
+        round_id,
+    )
+    if not rnd or _round_status(rnd) != "finishing":
+        return False
+    hands = _load_json(rnd["hands"], {})
+    winner = rnd["winner_user_id"]
+    arrangements = _load_json(rnd["arrangements"], {})
+    if not timed_out and _still_arranging(hands, winner, arrangements):
+        return False
+
+    rules = get_ruleset(rnd["ruleset"])
+    declaration = _load_json(rnd["declarations"], {}).get(winner, {})
+    organized_melds = dict(declaration.get("organized_melds") or {})
+    # Auto-organizing the stragglers is a meld search per hand - keep it off the event loop
+    scores, value_cards = await asyncio.to_thread(
+        _score_show, rules, winner, hands, arrangements, organized_melds,
+        rnd["wild_joker_rank"], rnd["game_mode"], _load_json(rnd["players_with_first_sequence"], []), rnd["ace_value"] or 10,
+        _load_json(rnd["printed_joker"], None),
+    )
+    scores.update(_drop_scores(_load_json(rnd["drops"], {})))
+    declaration["organized_melds"] = organized_melds
+    if value_cards:
+        declaration["value_cards"] = value_cards
+
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET scores = $1::jsonb, declarations = jsonb_set(declarations, $2, $3::jsonb, true),
+                finished_at = now(), version = version + 1, updated_at = now()
+            WHERE id = $4 AND version = $5
+            """,
+            json.dumps(scores),
+            [winner],
+            json.dumps(declaration),
+            round_id,
+            rnd["version"],
+        )
+        if status.endswith(" 0"):
+            # Another request finished it first
+            return False
+        await _log_events(round_id, [("round_finished", None, {"winner_user_id": winner, "scores": scores})], conn)
+    await publish(rnd["table_id"], "round_finished", {"round_number": rnd["number"], "winner_user_id": winner})
+    await _settle_points_round(round_id)
+    return True
+
+
+async def _enforce_finish_deadline(table_id: str) -> bool:
+    """Score the latest round if its finish phase has run out. Like the turn timer
+    this runs lazily from the polled endpoints. Returns True if the round finished."""
+    rnd = await fetchrow(
+        """
+        SELECT id, finished_at, finish_deadline
+        FROM public.rummy_rounds
+        WHERE table_id = $1
+        ORDER BY number DESC
+        LIMIT 1
+        """,
+        table_id,
+    )
+    if not rnd or _round_status(rnd) != "finishing" or datetime.now(timezone.utc) < rnd["finish_deadline"]:
+        return False
+    return await _finish_show(rnd["id"], timed_out=True)
+
+
+class ArrangeRequest(BaseModel):
+    table_id: str
+    groups: List[List[DiscardCard]]  # every card in the caller's hand; ungrouped cards as single-card groups
+
+
+class ArrangeResponse(BaseModel):
+    table_id: str
+    round_number: int
+    points: int  # what the arrangement scores before any ruleset bonuses
+    melds: List[MeldVerdict]
+    arranging: List[str]  # user_ids still arranging
+    finished: bool  # this arrangement was the last one and the round is scored
+
+
+@router.post("/round/arrange")
+async def arrange_cards(body: ArrangeRequest, user: AuthorizedUser) -> ArrangeResponse:
+    """Group your own cards after another player's valid show.
+
+    Only groups that count under the ruleset's show rules protect their cards; the
+    rest is deadwood. An arrangement is final once submitted.
+    """
+    await _assert_member(body.table_id, user.sub)
+    await _enforce_finish_deadline(body.table_id)
+    rnd = await fetchrow(
+        """
+        SELECT r.id, r.number, r.hands, r.winner_user_id, r.arrangements, r.wild_joker_rank, r.ace_value,
+               r.players_with_first_sequence, r.finished_at, r.finish_deadline, r.version, t.ruleset,
+               COALESCE(r.game_mode, t.wild_joker_mode) AS game_mode
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id
+        WHERE r.table_id = $1
+        ORDER BY r.number DESC
+        LIMIT 1
+        """,
+        body.table_id,
+    )
+    if not rnd:
+        raise HTTPException(status_code=404, detail="No round found")
+    if _round_status(rnd) != "finishing":
+        raise HTTPException(status_code=400, detail="No show is waiting for arrangements")
+    if rnd["winner_user_id"] == user.sub:
+        raise HTTPException(status_code=400, detail="You made the show")
+    hands = _load_json(rnd["hands"], {})
+    arrangements = _load_json(rnd["arrangements"], {})
+    if user.sub not in hands:
+        raise HTTPException(status_code=400, detail="You are not in this deal")
+    if user.sub in arrangements:
+        raise HTTPException(status_code=400, detail="You have already arranged your cards")
+
+    groups = [[card.model_dump() for card in group] for group in body.groups if group]
+    remaining = list(hands[user.sub])
+    if not all(_take_matching(remaining, card) for group in groups for card in group) or remaining:
+        raise HTTPException(status_code=400, detail="Groups must use exactly the cards in your hand")
+
+    rules = get_ruleset(rnd["ruleset"])
+    wild_joker_rank = rnd["wild_joker_rank"]
+    revealed = _wild_joker_active_for(rnd["game_mode"], _load_json(rnd["players_with_first_sequence"], []), user.sub)
+    melds, deadwood, points = rules.score_arrangement(groups, wild_joker_rank, revealed, rnd["ace_value"] or 10)
+    arrangements[user.sub] = {"melds": melds, "deadwood": deadwood, "points": points}
+
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET arrangements = $1::jsonb, version = version + 1, updated_at = now()
+            WHERE id = $2 AND version = $3
+            """,
+            json.dumps(arrangements),
+            rnd["id"],
+            rnd["version"],
+        )
+        _require_updated(status)
+        await _log_events(rnd["id"], [("arrange", user.sub, {"groups": groups, "points": points})], conn)
+    arranging = _still_arranging(hands, rnd["winner_user_id"], arrangements)
+    await publish(body.table_id, "arrange", {"round_number": rnd["number"], "user_id": user.sub, "arranging": arranging})
+    finished = not arranging and await _finish_show(rnd["id"])
+
+    return ArrangeResponse(
+        table_id=body.table_id,
+        round_number=rnd["number"],
+        points=points,
+        melds=_group_verdicts(rules, groups, melds, wild_joker_rank, revealed),
+        arranging=arranging,
+        finished=finished,
+    )
+
+
 class RevealedHandsResponse(BaseModel):
     table_id: str
     round_number: int
@@ -1192,16 +3206,20 @@ class RevealedHandsResponse(BaseModel):
     scores: dict[str, int]  # user_id -> points
     player_names: dict[str, str]  # user_id -> display_name
     is_finished: bool
+    round_status: str = "finished"  # "finishing" while the others arrange their cards after a show
+    arranging: List[str] = []  # user_ids still arranging; their scores are not in yet
+    finish_deadline: Optional[str] = None  # ISO timestamp; unarranged hands are auto-organized after this
 
 
 @router.get("/round/revealed-hands")
 async def get_revealed_hands(table_id: str, user: AuthorizedUser) -> RevealedHandsResponse:
     """Get all players' revealed hands and organized melds after declaration."""
     try:
+        await _enforce_finish_deadline(table_id)
         # Fetch the current round
         rnd = await fetchrow(
             """
-            SELECT id, number, finished_at, declarations, hands, scores, winner_user_id
+            SELECT id, number, finished_at, finish_deadline, declarations, hands, scores, winner_user_id, arrangements
             FROM public.rummy_rounds
             WHERE table_id=$1
             ORDER BY number DESC
@@ -1213,7 +3231,8 @@ async def get_revealed_hands(table_id: str, user: AuthorizedUser) -> RevealedHan
         if not rnd:
             raise HTTPException(status_code=404, detail="No round found")
         
-        if not rnd["finished_at"]:
+        round_status = _round_status(rnd)
+        if round_status == "playing":
             raise HTTPException(status_code=400, detail="Round not finished")
         
         # Get player information for names
@@ -1232,11 +3251,11 @@ async def get_revealed_hands(table_id: str, user: AuthorizedUser) -> RevealedHan
         scores = rnd.get("scores", {})
         declarations = rnd.get("declarations", {})
         
-        # Extract organized_melds from declarations
+        # Extract organized_melds from declarations; each holds every player's melds
         organized_melds = {}
         for uid, decl_data in declarations.items():
             if isinstance(decl_data, dict) and "organized_melds" in decl_data:
-                organized_melds[uid] = decl_data["organized_melds"]
+                organized_melds.update(decl_data["organized_melds"])
             else:
                 organized_melds[uid] = {
                     "pure_sequences": [],
@@ -1254,7 +3273,11 @@ async def get_revealed_hands(table_id: str, user: AuthorizedUser) -> RevealedHan
                 organized_melds=organized_melds,
                 scores=scores,
                 player_names=player_names,
-                is_finished=rnd["finished_at"] is not None
+                is_finished=rnd["finished_at"] is not None,
+                round_status=round_status,
+                arranging=_still_arranging(revealed_hands, rnd["winner_user_id"], _load_json(rnd["arrangements"], {}))
+                if round_status == "finishing" else [],
+                finish_deadline=rnd["finish_deadline"].isoformat() if round_status == "finishing" else None,
             )
             return response
         except Exception as e:
@@ -1268,9 +3291,10 @@ async def get_revealed_hands(table_id: str, user: AuthorizedUser) -> RevealedHan
 @router.get("/round/scoreboard")
 async def round_scoreboard(table_id: str, user: AuthorizedUser) -> ScoreboardResponse:
     await _assert_member(table_id, user.sub)
+    await _enforce_finish_deadline(table_id)
     rnd = await fetchrow(
         """
-        SELECT number, scores, winner_user_id, points_accumulated
+        SELECT id, number, scores, winner_user_id, points_accumulated, finished_at, finish_deadline
         FROM public.rummy_rounds
         WHERE table_id = $1
         ORDER BY number DESC
@@ -1280,30 +3304,16 @@ async def round_scoreboard(table_id: str, user: AuthorizedUser) -> ScoreboardRes
     )
     if not rnd:
         raise HTTPException(status_code=404, detail="No round found")
+    if _round_status(rnd) == "finishing":
+        raise HTTPException(status_code=400, detail="Scores are not final until everyone has arranged their cards")
     
     scores = rnd["scores"] or {}
-    
-    # CRITICAL: Accumulate round scores to total_points ONLY ONCE
-    # Check if points have already been accumulated for this round
-    if not rnd.get("points_accumulated", False):
-        for user_id, round_points in scores.items():
-            await execute(
-                """UPDATE public.rummy_table_players 
-                   SET total_points = total_points + $1 
-                   WHERE table_id = $2 AND user_id = $3""",
-                int(round_points),
-                table_id,
-                user_id
-            )
-        
-        # Mark this round as accumulated
-        await execute(
-            """UPDATE public.rummy_rounds 
-               SET points_accumulated = TRUE 
-               WHERE table_id = $1 AND number = $2""",
-            table_id,
-            rnd["number"]
-        )
+    await _accumulate_round_points(rnd["id"])
+    await _settle_deal_chips(rnd["id"])
+    # Finishing settles points rounds too; this catches one whose settling never ran
+    await _settle_points_round(rnd["id"])
+    # Pool eliminations happen here, before the next deal, so busted players can re-join in time
+    eliminated = await _eliminate_busted(table_id)
     
     entries = [ScoreEntry(user_id=uid, points=int(val)) for uid, val in scores.items()]
     return ScoreboardResponse(
@@ -1311,24 +3321,643 @@ async def round_scoreboard(table_id: str, user: AuthorizedUser) -> ScoreboardRes
         round_number=rnd["number"],
         scores=entries,
         winner_user_id=rnd["winner_user_id"],
+        eliminated=eliminated,
+        rejoin_score=await _rejoin_score(table_id),
+    )
+
+
+# -------- Pool split --------
+# When only a few players remain in a pool game they may agree to split the prize
+# instead of playing on. Any remaining player proposes, every remaining player must
+# accept, and the table then finishes with the payouts stored on the proposal.
+MAX_SPLIT_PLAYERS = 3
+SPLIT_KINDS = ("equal", "drops")
+
+
+def _drops_left(total_points: int, disqualify_score: int, drop_penalty: int) -> int:
+    """First drops a player can still afford before reaching disqualify_score."""
+    return max(0, (disqualify_score - 1 - total_points) // max(1, drop_penalty))
+
+
+def _split_payouts(players: List, kind: str, prize_pool: float, disqualify_score: int, drop_penalty: int) -> dict:
+    """user_id -> {share, amount, drops_left}; players are rows with user_id and total_points in seat order."""
+    drops = {p["user_id"]: _drops_left(p["total_points"], disqualify_score, drop_penalty) for p in players}
+    weights = drops if kind == "drops" and sum(drops.values()) > 0 else {uid: 1 for uid in drops}
+    total_weight = sum(weights.values())
+    cents = round(prize_pool * 100)
+    payouts = {}
+    paid = 0
+    for uid, weight in weights.items():
+        amount = cents * weight // total_weight
+        paid += amount
+        payouts[uid] = {"share": round(weight / total_weight, 4), "amount": amount, "drops_left": drops[uid]}
+    # Rounding leftovers go to the earliest seats
+    for uid in list(payouts)[: cents - paid]:
+        payouts[uid]["amount"] += 1
+    for payout in payouts.values():
+        payout["amount"] = payout["amount"] / 100
+    return payouts
+
+
+async def _remaining_pool_players(table_id: str):
+    return await fetch(
+        """
+        SELECT user_id, total_points
+        FROM public.rummy_table_players
+        WHERE table_id = $1 AND NOT is_spectator AND NOT COALESCE(disqualified, false)
+        ORDER BY seat ASC
+        """,
+        table_id,
+    )
+
+
+class SplitProposal(BaseModel):
+    id: str
+    table_id: str
+    proposed_by: str
+    kind: str
+    status: str  # "open", "accepted", "rejected" or "cancelled"
+    payouts: Dict[str, dict]  # user_id -> {share, amount, drops_left}
+    accepted_by: List[str]
+    created_at: str
+
+
+def _split_view(row) -> SplitProposal:
+    return SplitProposal(
+        id=str(row["id"]),
+        table_id=row["table_id"],
+        proposed_by=row["proposed_by"],
+        kind=row["kind"],
+        status=row["status"],
+        payouts=_load_json(row["payouts"], {}),
+        accepted_by=_load_json(row["accepted_by"], []),
+        created_at=row["created_at"].isoformat(),
+    )
+
+
+class ProposeSplitRequest(BaseModel):
+    table_id: str
+    kind: str = "equal"  # "equal" or "drops" (weighted by drops left)
+
+
+@router.post("/tables/split/propose")
+async def propose_split(body: ProposeSplitRequest, user: AuthorizedUser) -> SplitProposal:
+    """Propose splitting the pool between the remaining players; the proposer accepts it."""
+    if body.kind not in SPLIT_KINDS:
+        raise HTTPException(status_code=400, detail=f"Split kind must be one of {', '.join(SPLIT_KINDS)}")
+    tbl = await fetchrow(
+        """
+        SELECT t.game_type, t.status, t.disqualify_score, t.first_drop_penalty, t.prize_pool,
+               r.finished_at IS NOT NULL AS between_deals, COALESCE(r.points_accumulated, false) AS points_accumulated
+        FROM public.rummy_tables t
+        LEFT JOIN LATERAL (
+            SELECT finished_at, points_accumulated FROM public.rummy_rounds
+            WHERE table_id = t.id ORDER BY number DESC LIMIT 1
+        ) r ON true
+        WHERE t.id = $1
+        """,
+        body.table_id,
+    )
+    if not tbl:
+        raise HTTPException(status_code=404, detail="Table not found")
+    if tbl["game_type"] != "pool" or tbl["status"] != "playing":
+        raise HTTPException(status_code=400, detail="Only running pool games can be split")
+    if not tbl["between_deals"]:
+        raise HTTPException(status_code=400, detail="Splits can only be proposed between deals")
+
+    # Pricing uses totals, so the last deal must be on the scoreboard first
+    if not tbl["points_accumulated"]:
+        raise HTTPException(status_code=400, detail="Scores for the last deal are not tallied yet")
+    players = await _remaining_pool_players(body.table_id)
+    if user.sub not in {p["user_id"] for p in players}:
+        raise HTTPException(status_code=403, detail="Only remaining players can propose a split")
+    if not 2 <= len(players) <= MAX_SPLIT_PLAYERS:
+        raise HTTPException(status_code=400, detail=f"A split needs 2-{MAX_SPLIT_PLAYERS} remaining players")
+
+    payouts = _split_payouts(
+        players, body.kind, float(tbl["prize_pool"]), tbl["disqualify_score"], tbl["first_drop_penalty"]
+    )
+    try:
+        row = await fetchrow(
+            """
+            INSERT INTO public.rummy_split_proposals (id, table_id, proposed_by, kind, payouts, accepted_by)
+            VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb)
+            RETURNING *
+            """,
+            str(uuid.uuid4()),
+            body.table_id,
+            user.sub,
+            body.kind,
+            json.dumps(payouts),
+            json.dumps([user.sub]),
+        )
+    except asyncpg.UniqueViolationError:
+        raise HTTPException(status_code=409, detail="A split proposal is already open")
+    proposal = _split_view(row)
+    await publish(body.table_id, "split", proposal.model_dump())
+    return proposal
+
+
+class RespondSplitRequest(BaseModel):
+    table_id: str
+    accept: bool
+
+
+@router.post("/tables/split/respond")
+async def respond_split(body: RespondSplitRequest, user: AuthorizedUser) -> SplitProposal:
+    """Accept or reject the open split; once everyone accepts the table finishes."""
+    players = await _remaining_pool_players(body.table_id)
+    remaining = [p["user_id"] for p in players]
+    if user.sub not in remaining:
+        raise HTTPException(status_code=403, detail="Only remaining players can vote on a split")
+
+    async with transaction() as conn:
+        row = await conn.fetchrow(
+            "SELECT * FROM public.rummy_split_proposals WHERE table_id = $1 AND status = 'open' FOR UPDATE",
+            body.table_id,
+        )
+        if not row:
+            raise HTTPException(status_code=404, detail="No open split proposal")
+        if set(_load_json(row["payouts"], {})) != set(remaining):
+            # Someone re-joined or went out since it was proposed
+            row = await conn.fetchrow(
+                "UPDATE public.rummy_split_proposals SET status = 'cancelled', resolved_at = now() WHERE id = $1 RETURNING *",
+                row["id"],
+            )
+        elif not body.accept:
+            row = await conn.fetchrow(
+                "UPDATE public.rummy_split_proposals SET status = 'rejected', resolved_at = now() WHERE id = $1 RETURNING *",
+                row["id"],
+            )
+        else:
+            accepted = _load_json(row["accepted_by"], [])
+            if user.sub not in accepted:
+                accepted.append(user.sub)
+            done = set(accepted) == set(remaining)
+            row = await conn.fetchrow(
+                """
+                UPDATE public.rummy_split_proposals
+                SET accepted_by = $2::jsonb,
+                    status = CASE WHEN $3 THEN 'accepted' ELSE status END,
+                    resolved_at = CASE WHEN $3 THEN now() ELSE resolved_at END
+                WHERE id = $1
+                RETURNING *
+                """,
+                row["id"],
+                json.dumps(accepted),
+                done,
+            )
+            if done:
+                await conn.execute(
+                    "UPDATE public.rummy_tables SET status = 'finished', updated_at = now() WHERE id = $1",
+                    body.table_id,
+                )
+
+    proposal = _split_view(row)
+    await publish(body.table_id, "split", proposal.model_dump())
+    return proposal
+
+
+@router.get("/tables/split")
+async def get_split(table_id: str, user: AuthorizedUser) -> Optional[SplitProposal]:
+    """The open split proposal, or the most recent one; null if there never was one."""
+    await _assert_member(table_id, user.sub)
+    row = await fetchrow(
+        """
+        SELECT * FROM public.rummy_split_proposals
+        WHERE table_id = $1
+        ORDER BY (status = 'open') DESC, created_at DESC
+        LIMIT 1
+        """,
+        table_id,
     )
+    return _split_view(row) if row else None
 
 
 class NextRoundRequest(BaseModel):
     table_id: str
+    seed: Optional[int] = None  # client seed mixed into this deal, as for /start-game
+
+
+class ChipStanding(BaseModel):
+    user_id: str
+    display_name: Optional[str] = None
+    chips: int
+    rank: int  # players with equal chips share a rank
 
 
 class NextRoundResponse(BaseModel):
     table_id: str
     number: int
-    active_user_id: str
+    active_user_id: Optional[str] = None
+    game_over: bool = False  # deals: the last deal has been played; or the ruleset's own end (RuleSet.game_winner)
+    final_ranking: Optional[List[ChipStanding]] = None
+    winner_user_id: Optional[str] = None  # rulesets that end on their own terms
+
+
+# -------- Deals Rummy chips --------
+def _round_collectors(scores: dict, winner_user_id: Optional[str], players) -> List[str]:
+    """Who collects a finished round's points: the winner, or with no winner
+    (draw, wrong show) every player who owed nothing. players gives seat order.
+    """
+    if winner_user_id in players:
+        return [winner_user_id]
+    return [uid for uid in players if uid in scores and int(scores[uid]) == 0]
+
+
+async def _accumulate_round_points(round_id):
+    """Add a finished round's scores to the players' total_points; each round counts once."""
+    async with transaction() as conn:
+        rnd = await conn.fetchrow(
+            """
+            UPDATE public.rummy_rounds
+            SET points_accumulated = true
+            WHERE id = $1 AND finished_at IS NOT NULL AND NOT COALESCE(points_accumulated, false)
+            RETURNING table_id, scores
+            """,
+            round_id,
+        )
+        if not rnd:
+            return
+        for uid, points in _load_json(rnd["scores"], {}).items():
+            await conn.execute(
+                "UPDATE public.rummy_table_players SET total_points = total_points + $1 WHERE table_id = $2 AND user_id = $3",
+                int(points),
+                rnd["table_id"],
+                uid,
+            )
+
+
+async def _settle_deal_chips(round_id):
+    """Move chips for a finished deal on a deals table; each round settles once.
+
+    Losers pay their round points in chips (never more than they hold) and the
+    winner collects it all. With no winner (draw, wrong show) the chips paid are
+    shared by the players who owed nothing.
+    """
+    async with transaction() as conn:
+        rnd = await conn.fetchrow(
+            """
+            UPDATE public.rummy_rounds r
+            SET chips_settled = true
+            FROM public.rummy_tables t
+            WHERE r.id = $1 AND t.id = r.table_id AND t.game_type = 'deals'
+              AND r.finished_at IS NOT NULL AND NOT r.chips_settled
+            RETURNING r.table_id, r.scores, r.winner_user_id
+            """,
+            round_id,
+        )
+        if not rnd:
+            return
+        scores = _load_json(rnd["scores"], {})
+        rows = await conn.fetch(
+            "SELECT user_id, chips FROM public.rummy_table_players WHERE table_id = $1 AND chips IS NOT NULL ORDER BY seat FOR UPDATE",
+            rnd["table_id"],
+        )
+        chips = {r["user_id"]: r["chips"] for r in rows}
+
+        collectors = _round_collectors(scores, rnd["winner_user_id"], chips)
+        if not collectors:
+            return
+        pot = 0
+        for uid, points in scores.items():
+            if uid in collectors or uid not in chips:
+                continue
+            paid = min(int(points), chips[uid])
+            chips[uid] -= paid
+            pot += paid
+        share, remainder = divmod(pot, len(collectors))
+        for i, uid in enumerate(collectors):
+            # The remainder goes to the earliest seats
+            chips[uid] += share + (1 if i < remainder else 0)
+
+        for uid, balance in chips.items():
+            await conn.execute(
+                "UPDATE public.rummy_table_players SET chips = $3 WHERE table_id = $1 AND user_id = $2",
+                rnd["table_id"],
+                uid,
+                balance,
+            )
+
+
+async def _chip_standings(table_id: str) -> List[ChipStanding]:
+    rows = await fetch(
+        """
+        SELECT user_id, display_name, chips,
+               RANK() OVER (ORDER BY chips DESC) AS rank
+        FROM public.rummy_table_players
+        WHERE table_id = $1 AND chips IS NOT NULL
+        ORDER BY chips DESC, seat ASC
+        """,
+        table_id,
+    )
+    return [
+        ChipStanding(user_id=r["user_id"], display_name=r["display_name"], chips=r["chips"], rank=r["rank"])
+        for r in rows
+    ]
+
+
+class ChipStandingsResponse(BaseModel):
+    table_id: str
+    deals_played: int
+    deals_count: int
+    finished: bool
+    standings: List[ChipStanding]
+
+
+@router.get("/tables/chips")
+async def get_chip_standings(table_id: str, user: AuthorizedUser) -> ChipStandingsResponse:
+    """Chip counts on a deals table, best first; the final ranking once the game is over."""
+    await _assert_member(table_id, user.sub)
+    tbl = await fetchrow(
+        """
+        SELECT t.status, t.game_type, t.deals_count,
+               (SELECT COUNT(*) FROM public.rummy_rounds r WHERE r.table_id = t.id AND r.finished_at IS NOT NULL) AS deals_played,
+               (SELECT r.id FROM public.rummy_rounds r WHERE r.table_id = t.id ORDER BY r.number DESC LIMIT 1) AS last_round_id
+        FROM public.rummy_tables t
+        WHERE t.id = $1
+        """,
+        table_id,
+    )
+    if not tbl:
+        raise HTTPException(status_code=404, detail="Table not found")
+    if tbl["game_type"] != "deals":
+        raise HTTPException(status_code=400, detail="Chips are only used on deals tables")
+    if tbl["last_round_id"]:
+        await _settle_deal_chips(tbl["last_round_id"])
+
+    return ChipStandingsResponse(
+        table_id=table_id,
+        deals_played=tbl["deals_played"],
+        deals_count=tbl["deals_count"],
+        finished=tbl["status"] == "finished",
+        standings=await _chip_standings(table_id),
+    )
+
+
+# -------- Pool re-join --------
+NO_BUST_RULESETS = [name for name, rules in RULESETS.items() if not rules.busts]
+
+
+async def _eliminate_busted(table_id: str) -> List[str]:
+    """Disqualify pool players whose total reached disqualify_score; returns who went out now.
+
+    Rulesets that don't bust (Rummy 500, contract rummy) end through RuleSet.game_winner instead.
+    """
+    rows = await fetch(
+        """
+        UPDATE public.rummy_table_players p
+        SET disqualified = true, eliminated_at = now()
+        FROM public.rummy_tables t
+        WHERE p.table_id = $1 AND t.id = p.table_id AND t.game_type = 'pool'
+          AND NOT p.is_spectator AND NOT COALESCE(p.disqualified, false)
+          AND p.total_points >= t.disqualify_score
+          AND NOT t.ruleset = ANY($2::text[])
+        RETURNING p.user_id
+        """,
+        table_id,
+        NO_BUST_RULESETS,
+    )
+    return [r["user_id"] for r in rows]
+
+
+async def _rejoin_score(table_id: str, conn=None) -> Optional[int]:
+    """Total a re-joining player starts at (highest remaining + 1), or None if re-joins are closed.
+
+    Re-joins open between deals, once the last deal is on the totals, and stay
+    open while at least two players remain and nobody has passed the table's
+    rejoin_max_score. Pass conn to read inside the caller's transaction.
+    """
+    row = await (conn.fetchrow if conn is not None else fetchrow)(
+        """
+        SELECT t.game_type, t.status, t.max_rejoins, t.rejoin_max_score,
+               MAX(p.total_points) FILTER (WHERE NOT COALESCE(p.disqualified, false)) AS highest,
+               COUNT(*) FILTER (WHERE NOT COALESCE(p.disqualified, false)) AS remaining,
+               BOOL_AND(r.finished_at IS NOT NULL AND COALESCE(r.points_accumulated, false)) AS between_deals
+        FROM public.rummy_tables t
+        JOIN public.rummy_table_players p ON p.table_id = t.id AND NOT p.is_spectator
+        LEFT JOIN LATERAL (
+            SELECT finished_at, points_accumulated FROM public.rummy_rounds
+            WHERE table_id = t.id ORDER BY number DESC LIMIT 1
+        ) r ON true
+        WHERE t.id = $1
+        GROUP BY t.id
+        """,
+        table_id,
+    )
+    if not row or row["game_type"] != "pool" or row["status"] != "playing" or row["max_rejoins"] < 1:
+        return None
+    if not row["between_deals"]:
+        return None
+    if row["remaining"] < 2 or row["highest"] is None or row["highest"] > row["rejoin_max_score"]:
+        return None
+    return int(row["highest"]) + 1
+
+
+class RejoinRequest(BaseModel):
+    table_id: str
+
+
+class RejoinResponse(BaseModel):
+    table_id: str
+    total_points: int
+    rejoins_left: int
+
+
+@router.post("/tables/rejoin")
+async def rejoin_pool(body: RejoinRequest, user: AuthorizedUser) -> RejoinResponse:
+    """Buy back into a pool game after elimination, at the highest remaining score plus one.
+
+    Takes effect from the next deal.
+    """
+    me = await fetchrow(
+        """
+        SELECT p.disqualified, p.rejoins, t.max_rejoins
+        FROM public.rummy_table_players p
+        JOIN public.rummy_tables t ON t.id = p.table_id
+        WHERE p.table_id = $1 AND p.user_id = $2
+        """,
+        body.table_id,
+        user.sub,
+    )
+    if not me:
+        raise HTTPException(status_code=403, detail="Not part of this table")
+    if not me["disqualified"]:
+        raise HTTPException(status_code=400, detail="Only eliminated players can re-join")
+    if me["rejoins"] >= me["max_rejoins"]:
+        raise HTTPException(status_code=400, detail="No re-joins left")
+
+    async with transaction() as conn:
+        # Hold the seats so totals can't move between pricing the re-join and taking it
+        await conn.execute(
+            "SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 FOR UPDATE", body.table_id
+        )
+        score = await _rejoin_score(body.table_id, conn)
+        if score is None:
+            raise HTTPException(status_code=400, detail="Re-joining is only open between deals of a running pool game")
+        row = await conn.fetchrow(
+            """
+            UPDATE public.rummy_table_players
+            SET total_points = $3, disqualified = false, eliminated_at = NULL, rejoins = rejoins + 1
+            WHERE table_id = $1 AND user_id = $2 AND disqualified AND rejoins = $4
+            RETURNING total_points, rejoins
+            """,
+            body.table_id,
+            user.sub,
+            score,
+            me["rejoins"],
+        )
+        if not row:
+            raise HTTPException(status_code=409, detail="Re-join already processed")
+    await publish(body.table_id, "seats", {"user_id": user.sub, "rejoined": True, "total_points": score})
+    return RejoinResponse(
+        table_id=body.table_id,
+        total_points=row["total_points"],
+        rejoins_left=me["max_rejoins"] - row["rejoins"],
+    )
+
+
+# -------- Points Rummy ledger --------
+async def _settle_points_round(round_id):
+    """Write ledger transfers for a finished deal on a points table; each round settles once.
+
+    Every loser pays round points x point_value to the collectors (see
+    _round_collectors), split evenly with any odd point going to the earliest seat.
+    """
+    async with transaction() as conn:
+        rnd = await conn.fetchrow(
+            """
+            UPDATE public.rummy_rounds r
+            SET ledger_settled = true
+            FROM public.rummy_tables t
+            WHERE r.id = $1 AND t.id = r.table_id AND t.game_type = 'points'
+              AND r.finished_at IS NOT NULL AND NOT r.ledger_settled
+            RETURNING r.table_id, r.scores, r.winner_user_id, t.point_value
+            """,
+            round_id,
+        )
+        if not rnd:
+            return
+        scores = _load_json(rnd["scores"], {})
+        seats = await conn.fetch(
+            "SELECT user_id FROM public.rummy_table_players WHERE table_id = $1 ORDER BY seat",
+            rnd["table_id"],
+        )
+        collectors = _round_collectors(scores, rnd["winner_user_id"], [r["user_id"] for r in seats])
+        if not collectors:
+            return
+        for uid, points in scores.items():
+            if uid in collectors or int(points) <= 0:
+                continue
+            share, remainder = divmod(int(points), len(collectors))
+            for i, collector in enumerate(collectors):
+                owed = share + (1 if i < remainder else 0)
+                if owed == 0:
+                    continue
+                await conn.execute(
+                    """
+                    INSERT INTO public.rummy_ledger (table_id, round_id, from_user_id, to_user_id, points, amount)
+                    VALUES ($1, $2, $3, $4, $5, $5 * $6::numeric)
+                    """,
+                    rnd["table_id"],
+                    round_id,
+                    uid,
+                    collector,
+                    owed,
+                    rnd["point_value"],
+                )
+
+
+class LedgerEntry(BaseModel):
+    table_id: str
+    round_id: str
+    counterparty_user_id: str
+    points: int
+    amount: float  # positive when you received, negative when you paid
+    running_balance: float
+    created_at: str
+
+
+class BalanceResponse(BaseModel):
+    user_id: str
+    balance: float
+    total_won: float
+    total_lost: float
+    entries: List[LedgerEntry]  # most recent first
+
+
+@router.get("/ledger/balance")
+async def get_ledger_balance(user: AuthorizedUser, limit: int = 50) -> BalanceResponse:
+    """Your running points-rummy balance across all tables, with the latest transfers."""
+    limit = max(1, min(limit, 500))
+    # Settle any of your finished rounds that missed the ledger when they ended
+    unsettled = await fetch(
+        """
+        SELECT r.id
+        FROM public.rummy_rounds r
+        JOIN public.rummy_tables t ON t.id = r.table_id AND t.game_type = 'points'
+        JOIN public.rummy_table_players p ON p.table_id = r.table_id AND p.user_id = $1
+        WHERE r.finished_at IS NOT NULL AND NOT r.ledger_settled
+        """,
+        user.sub,
+    )
+    for row in unsettled:
+        await _settle_points_round(row["id"])
+    totals = await fetchrow(
+        """
+        SELECT COALESCE(SUM(amount) FILTER (WHERE to_user_id = $1), 0) AS won,
+               COALESCE(SUM(amount) FILTER (WHERE from_user_id = $1), 0) AS lost
+        FROM public.rummy_ledger
+        WHERE to_user_id = $1 OR from_user_id = $1
+        """,
+        user.sub,
+    )
+    rows = await fetch(
+        """
+        SELECT table_id, round_id, points, created_at,
+               CASE WHEN to_user_id = $1 THEN from_user_id ELSE to_user_id END AS counterparty,
+               CASE WHEN to_user_id = $1 THEN amount ELSE -amount END AS signed_amount,
+               SUM(CASE WHEN to_user_id = $1 THEN amount ELSE -amount END)
+                   OVER (ORDER BY created_at, id) AS running_balance
+        FROM public.rummy_ledger
+        WHERE to_user_id = $1 OR from_user_id = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+        """,
+        user.sub,
+        limit,
+    )
+    won = float(totals["won"])
+    lost = float(totals["lost"])
+    return BalanceResponse(
+        user_id=user.sub,
+        balance=won - lost,
+        total_won=won,
+        total_lost=lost,
+        entries=[
+            LedgerEntry(
+                table_id=str(r["table_id"]),
+                round_id=str(r["round_id"]),
+                counterparty_user_id=r["counterparty"],
+                points=r["points"],
+                amount=float(r["signed_amount"]),
+                running_balance=float(r["running_balance"]),
+                created_at=r["created_at"].isoformat(),
+            )
+            for r in rows
+        ],
+    )
 
 
 @router.post("/round/next")
 async def start_next_round(body: NextRoundRequest, user: AuthorizedUser) -> NextRoundResponse:
     # Host only for next-round
     tbl = await fetchrow(
-        "SELECT id, host_user_id, status, disqualify_score FROM public.rummy_tables WHERE id = $1",
+        """
+        SELECT id, host_user_id, status, disqualify_score, game_type, deals_count, decks, printed_jokers_per_deck,
+               wild_joker_mode, wild_joker_cut, ruleset, contract_schedule
+        FROM public.rummy_tables WHERE id = $1
+        """,
         body.table_id,
     )
     if not tbl:
@@ -1336,6 +3965,8 @@ async def start_next_round(body: NextRoundRequest, user: AuthorizedUser) -> Next
     await _assert_member(body.table_id, user.sub)
     if tbl["host_user_id"] != user.sub:
         raise HTTPException(status_code=403, detail="Only host can start next round")
+    if tbl["status"] == "finished":
+        raise HTTPException(status_code=400, detail="Game is over")
 
     # Check last round is finished
     last = await fetchrow(
@@ -1351,17 +3982,26 @@ async def start_next_round(body: NextRoundRequest, user: AuthorizedUser) -> Next
     if not last or not last["finished_at"]:
         raise HTTPException(status_code=400, detail="Last round not finished yet")
 
-    # Disqualify any players reaching threshold
+    deals = tbl["game_type"] == "deals"
+    if deals:
+        await _settle_deal_chips(last["id"])
+    rules = get_ruleset(tbl["ruleset"])
+
+    # Disqualify any players reaching threshold (deals: anyone out of chips)
     th = int(tbl["disqualify_score"])
     players = await fetch(
-        "SELECT user_id, total_points FROM public.rummy_table_players WHERE table_id = $1 ORDER BY seat ASC",
+        "SELECT user_id, total_points, chips FROM public.rummy_table_players WHERE table_id = $1 AND is_spectator = false ORDER BY seat ASC",
         body.table_id,
     )
     active_user_ids = []
     for p in players:
         uid = p["user_id"]
         total = int(p["total_points"])
-        if total >= th:
+        if tbl["game_type"] == "points" or not rules.busts:
+            out = False  # every deal is settled on its own, nobody is eliminated
+        else:
+            out = (p["chips"] or 0) <= 0 if deals else total >= th
+        if out:
             await execute(
                 "UPDATE public.rummy_table_players SET disqualified = true, eliminated_at = now() WHERE table_id = $1 AND user_id = $2",
                 body.table_id,
@@ -1370,18 +4010,51 @@ async def start_next_round(body: NextRoundRequest, user: AuthorizedUser) -> Next
         else:
             active_user_ids.append(uid)
 
+    if deals and (int(last["number"]) >= tbl["deals_count"] or len(active_user_ids) < 2):
+        # Deals game ends after the last deal with a chip ranking instead of an error
+        await execute("UPDATE public.rummy_tables SET status = 'finished', updated_at = now() WHERE id = $1", body.table_id)
+        final_ranking = await _chip_standings(body.table_id)
+        await publish(body.table_id, "game_over", {"ranking": [c.model_dump() for c in final_ranking]})
+        return NextRoundResponse(
+            table_id=body.table_id,
+            number=int(last["number"]),
+            game_over=True,
+            final_ranking=final_ranking,
+        )
+
+    winner = rules.game_winner(
+        {p["user_id"]: int(p["total_points"]) for p in players},
+        int(last["number"]),
+        th,
+        _load_json(tbl["contract_schedule"], None),
+    )
+    if winner:
+        # The ruleset's own end: Rummy 500 target reached, contract schedule played out
+        await execute("UPDATE public.rummy_tables SET status = 'finished', updated_at = now() WHERE id = $1", body.table_id)
+        await publish(body.table_id, "game_over", {"winner_user_id": winner})
+        return NextRoundResponse(table_id=body.table_id, number=int(last["number"]), game_over=True, winner_user_id=winner)
+
     if len(active_user_ids) < 2:
         # End table
         await execute("UPDATE public.rummy_tables SET status = 'finished', updated_at = now() WHERE id = $1", body.table_id)
         raise HTTPException(status_code=400, detail="Not enough players for next round; table finished")
 
-    # Create new round with fresh deal, rotate starting player (winner starts)
-    cfg = DeckConfig(decks=2, include_printed_jokers=True)
-    deal = deal_initial(active_user_ids, cfg, None)
+    # Dealing again means play goes on: an undecided split lapses
+    await execute(
+        "UPDATE public.rummy_split_proposals SET status = 'cancelled', resolved_at = now() WHERE table_id = $1 AND status = 'open'",
+        body.table_id,
+    )
 
+    # Create new round with fresh deal, rotate starting player (winner starts)
     new_round_id = str(uuid.uuid4())
     next_round_number = int(last["number"]) + 1
 
+    cfg = _table_deck_config(tbl)
+    server_seed = await _take_server_seed(body.table_id)
+    client_seed = str(body.seed) if body.seed is not None else ""
+    cut_joker = tbl["wild_joker_mode"] != "no_joker" and tbl["wild_joker_cut"]
+    deal = rules.deal(active_user_ids, cfg, server_seed, client_seed, next_round_number, cut_joker)
+
     hands_serialized = {uid: [c.model_dump() for c in cards] for uid, cards in deal.hands.items()}
     stock_serialized = [c.model_dump() for c in deal.stock]
     discard_serialized = [c.model_dump() for c in deal.discard]
@@ -1399,22 +4072,23 @@ async def start_next_round(body: NextRoundRequest, user: AuthorizedUser) -> Next
     if wild_joker_mode == "no_joker":
         wild_joker_rank = None  # No wild joker in this mode
     else:
-        # Pick a random wild joker rank (excluding printed joker)
-        ranks = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
-        wild_joker_rank = random.choice(ranks)
+        wild_joker_rank = _deal_wild_joker_rank(deal, server_seed, client_seed, next_round_number)
+    fairness = _fairness_record(server_seed, client_seed, next_round_number, active_user_ids, cfg, cut_joker, rules.hand_size)
+    printed_joker = deal.printed_joker.model_dump() if deal.printed_joker else None
 
     await execute(
         """
         INSERT INTO public.rummy_rounds (
             id, table_id, number, printed_joker, wild_joker_rank,
-            stock, discard, hands, active_user_id, game_mode, ace_value
+            stock, discard, hands, active_user_id, game_mode, ace_value, fairness, turn_deadline
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                now() + (SELECT turn_seconds FROM public.rummy_tables WHERE id = $2) * interval '1 second')
         """,
         new_round_id,
         body.table_id,
         next_round_number,
-        None,
+        json.dumps(printed_joker) if printed_joker else None,
         wild_joker_rank,
         json.dumps(stock_serialized),
         json.dumps(discard_serialized),
@@ -1422,7 +4096,17 @@ async def start_next_round(body: NextRoundRequest, user: AuthorizedUser) -> Next
         active_user_ids[0],
         wild_joker_mode,
         ace_value,
+        json.dumps(fairness),
     )
+    await _log_events(new_round_id, [("deal", None, {
+        "hands": hands_serialized,
+        "stock": stock_serialized,
+        "discard": discard_serialized,
+        "active_user_id": active_user_ids[0],
+        "wild_joker_rank": wild_joker_rank,
+        "printed_joker": printed_joker,
+    })])
+    await publish(body.table_id, "round_started", {"round_number": next_round_number, "active_user_id": active_user_ids[0]})
 
     await execute(
         "UPDATE public.rummy_tables SET status = 'playing', updated_at = now() WHERE id = $1",
@@ -1510,53 +4194,322 @@ async def get_round_history(table_id: str, user: AuthorizedUser):
     return {"rounds": round_history}
 
 
+class ReplayStep(BaseModel):
+    seq: int
+    event_type: str
+    user_id: Optional[str] = None
+    payload: dict
+    at: str
+    turn: int  # counts up each time the turn passes to another player
+    active_user_id: Optional[str] = None
+    hands: Dict[str, List[str]]  # card codes after this event
+    discard_top: Optional[str] = None
+    stock_count: int
+
+
+class ReplayResponse(BaseModel):
+    table_id: str
+    round_number: int
+    winner_user_id: Optional[str] = None
+    steps: List[ReplayStep]
+
+
+@router.get("/round/replay")
+async def get_round_replay(table_id: str, round_number: int, user: AuthorizedUser) -> ReplayResponse:
+    """Step through a finished round event by event, with every hand visible."""
+    await _assert_member(table_id, user.sub)
+    rnd = await fetchrow(
+        "SELECT id, number, winner_user_id, finished_at FROM public.rummy_rounds WHERE table_id = $1 AND number = $2",
+        table_id,
+        round_number,
+    )
+    if not rnd:
+        raise HTTPException(status_code=404, detail="Round not found")
+    if not rnd["finished_at"]:
+        # Replaying a live round would show everyone's hand
+        raise HTTPException(status_code=400, detail="Replay is available once the round is finished")
+
+    events = await fetch(
+        """
+        SELECT seq, event_type, user_id, payload, created_at
+        FROM public.rummy_round_events
+        WHERE round_id = $1
+        ORDER BY seq ASC
+        """,
+        rnd["id"],
+    )
+
+    state = {"hands": {}, "stock": [], "discard": [], "active_user_id": None}
+    steps: List[ReplayStep] = []
+    turn = 0
+    for ev in events:
+        payload = _load_json(ev["payload"], {})
+        previous_active = state["active_user_id"]
+        _apply_event(state, ev["event_type"], ev["user_id"], payload)
+        if state["active_user_id"] != previous_active:
+            turn += 1
+        steps.append(ReplayStep(
+            seq=ev["seq"],
+            event_type=ev["event_type"],
+            user_id=ev["user_id"],
+            payload=payload,
+            at=ev["created_at"].isoformat(),
+            turn=turn,
+            active_user_id=state["active_user_id"],
+            hands={uid: [_serialize_card_code(c) for c in cards] for uid, cards in state["hands"].items()},
+            discard_top=_serialize_card_code(state["discard"][-1]) if state["discard"] else None,
+            stock_count=len(state["stock"]),
+        ))
+
+    return ReplayResponse(
+        table_id=table_id,
+        round_number=rnd["number"],
+        winner_user_id=rnd["winner_user_id"],
+        steps=steps,
+    )
+
+
+# -------- Bot players --------
+BOT_THINK_SECONDS = 2  # pause before a bot moves so humans can follow the play
+MAX_BOT_TURNS_PER_POLL = 6
+
+# Bot play running per table; polls start it in the background instead of waiting on it
+_bot_tasks: Dict[str, asyncio.Task] = {}
+
+
+class _BotUser:
+    """Stands in for AuthorizedUser when the server plays a bot's turn."""
+
+    def __init__(self, user_id: str):
+        self.sub = user_id
+
+
+def _card_from_view(card) -> dict:
+    return {"rank": card.rank, "suit": card.suit, "joker": card.joker}
+
+
+def _schedule_bot_turns(table_id: str):
+    """Start playing this table's pending bot turns unless that is already under way.
+
+    Like the turn timer this runs lazily from the polled endpoints, but the polls
+    don't wait: moves reach clients through the usual table events.
+    """
+    task = _bot_tasks.get(table_id)
+    if task and not task.done():
+        return
+    task = asyncio.create_task(_play_bot_turns(table_id))
+    _bot_tasks[table_id] = task
+
+    def forget(done: asyncio.Task):
+        if _bot_tasks.get(table_id) is done:
+            del _bot_tasks[table_id]
+        if not done.cancelled() and done.exception() is not None:
+            # Nobody awaits the task, so report the failure here; the next poll tries again
+            print(f"⚠️ Bot play failed for table {table_id}: {done.exception()!r}")
+
+    task.add_done_callback(forget)
+
+
+async def _play_bot_turns(table_id: str):
+    """Play any pending bot turns at this table (see _schedule_bot_turns).
+
+    Bots move through the same endpoints as humans, so every rule check applies.
+    If another request already moved, the endpoint rejects the stale move and we stop.
+    """
+    for _ in range(MAX_BOT_TURNS_PER_POLL):
+        row = await fetchrow(
+            """
+            SELECT r.hands, r.discard, r.active_user_id, r.wild_joker_rank, r.ace_value,
+                   r.players_with_first_sequence, r.finished_at, r.turn_deadline,
+                   COALESCE(r.game_mode, t.wild_joker_mode) AS game_mode,
+                   t.status, t.turn_seconds, t.ruleset, p.is_bot, p.bot_level
+            FROM public.rummy_rounds r
+            JOIN public.rummy_tables t ON t.id = r.table_id
+            JOIN public.rummy_table_players p ON p.table_id = r.table_id AND p.user_id = r.active_user_id
+            WHERE r.table_id = $1
+            ORDER BY r.number DESC
+            LIMIT 1
+            """,
+            table_id,
+        )
+        if not row or not row["is_bot"] or row["finished_at"] or row["status"] != "playing":
+            return
+        rules = get_ruleset(row["ruleset"])
+        if not rules.bots:
+            return
+        if row["turn_deadline"]:
+            turn_started = row["turn_deadline"] - timedelta(seconds=row["turn_seconds"])
+            if datetime.now(timezone.utc) < turn_started + timedelta(seconds=BOT_THINK_SECONDS):
+                return
+
+        bot = _BotUser(row["active_user_id"])
+        level = row["bot_level"] or "medium"
+        wild_joker_rank = row["wild_joker_rank"]
+        ace_value = row["ace_value"] or 10
+        revealed = _wild_joker_active_for(row["game_mode"], _load_json(row["players_with_first_sequence"], []), bot.sub)
+        hand = _load_json(row["hands"], {}).get(bot.sub, [])
+        discard = _load_json(row["discard"], [])
+
+        try:
+            taken = None
+            if len(hand) == rules.hand_size:
+                source = await asyncio.to_thread(
+                    choose_draw_source, hand, discard[-1] if discard else None, level, wild_joker_rank, revealed, ace_value
+                )
+                if source == "discard":
+                    taken = discard[-1]
+                    resp = await draw_discard(DrawRequest(table_id=table_id), bot)
+                else:
+                    resp = await draw_stock(DrawRequest(table_id=table_id), bot)
+                if resp.finished_at:
+                    return
+                hand = [_card_from_view(c) for c in resp.hand]
+
+            if wild_joker_rank and not revealed:
+                meld = await asyncio.to_thread(find_lockable_sequence, hand, wild_joker_rank)
+                if meld:
+                    locked = await lock_sequence(
+                        LockSequenceRequest(table_id=table_id, meld=[CardData(rank=c["rank"], suit=c.get("suit")) for c in meld]),
+                        bot,
+                    )
+                    revealed = locked.success
+
+            throw = await asyncio.to_thread(
+                choose_discard, hand, level, wild_joker_rank, revealed, ace_value, keep=taken
+            )
+            rest = list(hand)
+            rest.remove(throw)
+            groups = await asyncio.to_thread(plan_declaration, rest, wild_joker_rank, revealed)
+            if groups:
+                await declare(
+                    DeclareRequest(table_id=table_id, groups=[[DiscardCard(**c) for c in g] for g in groups]),
+                    bot,
+                )
+                return
+            await discard_card(DiscardRequest(table_id=table_id, card=DiscardCard(**throw)), bot)
+        except HTTPException:
+            return
+
+
 # ===== DROP ENDPOINT =====
 
 class DropRequest(BaseModel):
     table_id: str
+    leave: bool = False  # leave the table for good (full count penalty)
 
 class DropResponse(BaseModel):
     success: bool
     penalty_points: int
+    drop_type: str  # "first", "middle" or "full_count"
 
 @router.post("/game/drop")
 async def drop_game(body: DropRequest, user: AuthorizedUser) -> DropResponse:
-    """Player drops before first draw (20pt penalty, 2+ players)."""
+    """Drop out of the current round.
+
+    First drop before your first draw, middle drop after any draw, full count
+    when leaving the table. Penalties come from the table settings.
+    """
+    await _assert_member(body.table_id, user.sub)
+    await _enforce_turn_timeout(body.table_id)
     result = await fetchrow(
-        """WITH round_data AS (
-               SELECT id, hands, active_user_id
-               FROM public.rummy_rounds
-               WHERE table_id = $1
-               ORDER BY number DESC LIMIT 1
-           ),
-           player_count AS (
-               SELECT COUNT(*) as cnt
-               FROM public.rummy_table_players
-               WHERE table_id = $1 AND is_spectator = false
-           )
-           SELECT r.id, r.hands, r.active_user_id, p.cnt as player_count
-           FROM round_data r, player_count p""",
+        """SELECT r.id, r.hands, r.active_user_id, r.drops, r.drawn_by, r.finished_at, r.finish_deadline, r.turn_drawn,
+                  r.table_melds, r.version, t.first_drop_penalty, t.middle_drop_penalty, t.full_count_penalty, t.ruleset
+           FROM public.rummy_rounds r
+           JOIN public.rummy_tables t ON t.id = r.table_id
+           WHERE r.table_id = $1
+           ORDER BY r.number DESC LIMIT 1""",
         body.table_id
     )
     
     if not result:
         raise HTTPException(status_code=404, detail="No active round")
-    if result["player_count"] < 2:
-        raise HTTPException(status_code=400, detail="Need 2+ players to drop")
+    if result["finished_at"]:
+        raise HTTPException(status_code=400, detail="Round already finished")
+    if result["finish_deadline"]:
+        raise HTTPException(status_code=400, detail="The round is being scored after a show")
     
-    hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
+    hands = _load_json(result["hands"], {})
+    drops = _load_json(result["drops"], {})
+    drawn_by = _load_json(result["drawn_by"], [])
     my_hand = hands.get(user.sub)
-    if not my_hand or len(my_hand) != 13:
-        raise HTTPException(status_code=400, detail="Can only drop before drawing first card")
+    if my_hand is None:
+        raise HTTPException(status_code=400, detail="You are not playing this round")
+    if len(hands) < 2:
+        raise HTTPException(status_code=400, detail="Need 2+ players to drop")
+    rules = get_ruleset(result["ruleset"])
+    drew = result["active_user_id"] == user.sub and rules.has_drawn(my_hand, result["turn_drawn"])
+    if not body.leave and not rules.drops:
+        raise HTTPException(status_code=400, detail=f"{rules.title} has no drops; you can only leave the table")
+    if not body.leave and result["active_user_id"] != user.sub:
+        # Dropping is a turn action; only leaving the table works at any time
+        raise HTTPException(status_code=403, detail="Not your turn")
+    if not body.leave and drew:
+        raise HTTPException(status_code=400, detail="Discard before dropping")
     
-    await execute(
-        """UPDATE public.rummy_table_players 
-           SET is_spectator = true, total_points = total_points + 20, eliminated_at = now()
-           WHERE table_id = $1 AND user_id = $2""",
-        body.table_id, user.sub
-    )
+    discard_extra = None
+    if drew:
+        # Leaving mid-turn: the drawn card goes back on the discard pile
+        discard_extra = my_hand.pop()
+    drop = _drop_player(hands, drops, drawn_by, user.sub, result, leave=body.leave)
+    
+    # If it was the dropping player's turn, pass it on
+    next_user = result["active_user_id"]
+    if next_user == user.sub:
+        seats = await fetch(
+            "SELECT user_id, is_spectator FROM public.rummy_table_players WHERE table_id = $1 ORDER BY seat ASC",
+            body.table_id,
+        )
+        next_user = _next_user(seats, hands, user.sub)
+    
+    async with transaction() as conn:
+        status = await conn.execute(
+            """
+            UPDATE public.rummy_rounds
+            SET hands = $1::jsonb, drops = $2::jsonb, active_user_id = $3,
+                discard = CASE WHEN $4::jsonb IS NULL THEN discard ELSE discard || jsonb_build_array($4::jsonb) END,
+                turn_deadline = CASE WHEN active_user_id = $3 THEN turn_deadline
+                                     ELSE now() + (SELECT turn_seconds FROM public.rummy_tables WHERE id = $5) * interval '1 second' END,
+                turn_drawn = turn_drawn AND active_user_id = $3, buy_open = buy_open AND active_user_id = $3,
+                must_meld = CASE WHEN active_user_id = $3 THEN must_meld END,
+                version = version + 1, updated_at = now()
+            WHERE id = $6 AND version = $7
+            """,
+            json.dumps(hands),
+            json.dumps(drops),
+            next_user,
+            json.dumps(discard_extra) if discard_extra else None,
+            body.table_id,
+            result["id"],
+            result["version"],
+        )
+        _require_updated(status)
+        await _log_events(result["id"], [(
+            "drop",
+            user.sub,
+            {"type": drop["type"], "penalty": drop["penalty"], "returned_card": discard_extra, "next_user_id": next_user},
+        )], conn)
+    await publish(body.table_id, "drop", {
+        "user_id": user.sub,
+        "type": drop["type"],
+        "penalty": drop["penalty"],
+        "active_user_id": next_user,
+    })
+    
+    if body.leave:
+        # Left the table: sit out every later round too
+        await execute(
+            """UPDATE public.rummy_table_players 
+               SET is_spectator = true, eliminated_at = now()
+               WHERE table_id = $1 AND user_id = $2""",
+            body.table_id, user.sub
+        )
+        await publish(body.table_id, "seats", {"user_id": user.sub, "left": True})
+    
+    if len(hands) == 1:
+        # Everyone else is out - the last player standing wins the round
+        await _finish_round(result["id"], next(iter(hands)), hands, drops, _closing_scores(rules, hands, result["table_melds"]))
     
-    return DropResponse(success=True, penalty_points=20)
+    return DropResponse(success=True, penalty_points=drop["penalty"], drop_type=drop["type"])
 
 
 # ===== SPECTATE ENDPOINTS =====
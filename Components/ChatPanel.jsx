@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { apiClient } from 'app';
 import { MessageResponse } from 'types';
+import { subscribeTableEvents } from 'utils/tableStream';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { ScrollArea } from '@/components/ui/scroll-area';
@@ -21,8 +22,15 @@ export const ChatPanel: React.FC<Props> = ({ tableId, userId, isOpen, onToggle }
 
   useEffect(() => {
     loadMessages();
-    const interval = setInterval(loadMessages, 2000); // Poll every 2s
-    return () => clearInterval(interval);
+    // New messages are pushed over the table stream; the slow poll only covers a dropped stream
+    const unsubscribe = subscribeTableEvents(tableId, (type) => {
+      if (type === 'chat') loadMessages();
+    });
+    const interval = setInterval(loadMessages, 15000);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
   }, [tableId]);
 
   useEffect(() => {
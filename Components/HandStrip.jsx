@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import type { RoundMeResponse } from "../apiclient/data-contracts";
 import { PlayingCard } from "./PlayingCard";
+import { useGroupCheck, verdictRing } from "utils/groupCheck";
 
 export interface Props {
   hand: RoundMeResponse["hand"];
@@ -8,14 +9,20 @@ export interface Props {
   selectedIndex?: number;
   highlightIndex?: number;
   onReorder?: (reorderedHand: RoundMeResponse["hand"]) => void;
+  tableId?: string; // with groups, colours each group by its live verdict (/declare/check)
+  groups?: number[][]; // hand indices of the groups the player has formed
 }
 
-export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, highlightIndex, onReorder }) => {
+export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, highlightIndex, onReorder, tableId, groups = [] }) => {
   const [draggedIndex, setDraggedIndex] = useState<number | null>(null);
   const [dropTargetIndex, setDropTargetIndex] = useState<number | null>(null);
   const [touchStartIndex, setTouchStartIndex] = useState<number | null>(null);
   const [touchPosition, setTouchPosition] = useState<{ x: number; y: number } | null>(null);
 
+  const cardGroups = groups.map((group) => group.map((idx) => hand[idx]).filter(Boolean));
+  const check = useGroupCheck(tableId ?? "", cardGroups);
+  const groupOf = (idx: number) => groups.findIndex((group) => group.includes(idx));
+
   // Mouse/Desktop drag handlers
   const handleDragStart = (e: React.DragEvent, index: number) => {
     setDraggedIndex(index);
@@ -125,8 +132,9 @@ export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, h
             className={`transition-all duration-200 ${
               idx === draggedIndex ? 'opacity-50 scale-95' : ''
             } ${
-              idx === dropTargetIndex ? 'scale-105 ring-2 ring-amber-400' : ''
-            }`}
+              idx === dropTargetIndex ? 'scale-105 ring-2 ring-amber-400' : verdictRing(check?.melds[groupOf(idx)])
+            } rounded-lg`}
+            title={check?.melds[groupOf(idx)]?.reason}
           >
             <PlayingCard
               card={card}
@@ -139,6 +147,16 @@ export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, h
           </div>
         ))}
       </div>
+      {check && (
+        <div className="text-xs text-slate-400 pb-2">
+          Deadwood: <span className="font-semibold text-amber-300">{check.deadwood_points} pts</span>
+          {check.can_declare ? (
+            <span className="ml-2 text-emerald-400">Ready to declare</span>
+          ) : (
+            <span className="ml-2">{check.declare_reason}</span>
+          )}
+        </div>
+      )}
     </div>
   );
 };
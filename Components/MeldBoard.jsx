@@ -1,64 +1,181 @@
 import React, { useEffect, useState } from 'react';
-import socket from '../socket'; // your socket instance - adapt path if needed
+import { apiClient } from 'app';
+import type { CardView, TableMeldsResponse } from '../apiclient/data-contracts';
+import { subscribeTableEvents } from 'utils/tableStream';
+import { useGroupCheck, verdictRing } from 'utils/groupCheck';
+import { Button } from '@/components/ui/button';
+import { toast } from 'sonner';
+import { PlayingCard } from './PlayingCard';
 
-export default function MeldBoard({ roomId, playerId }) {
-  const [melds, setMelds] = useState([[], [], [], []]);
-  const [locked, setLocked] = useState(false);
+export interface Props {
+  tableId: string;
+  currentUserId: string;
+  players: Array<{ user_id: string; display_name?: string | null }>;
+  isMyTurn: boolean;
+  selectedCards: CardView[]; // cards picked in the hand to meld or lay off
+  stagedGroups?: CardView[][]; // contract rummy: the groups to go down with in one go
+  onLaid?: () => void; // refresh the hand after cards leave it
+}
+
+/**
+ * Everyone's melds on the table (Rummy 500, contract rummy). With cards selected in
+ * the hand the active player can lay them down as a new meld or click a meld to lay
+ * them off; on contract tables staged groups go down together.
+ */
+export default function MeldBoard({ tableId, currentUserId, players, isMyTurn, selectedCards, stagedGroups = [], onLaid }: Props) {
+  const [board, setBoard] = useState<TableMeldsResponse | null>(null);
+  const [laying, setLaying] = useState(false);
+  // What is about to go down, checked live: the staged groups, or a selection big enough
+  // to be a new meld (smaller ones are lay-offs)
+  const pending = stagedGroups.length > 0 ? stagedGroups : selectedCards.length >= 3 ? [selectedCards] : [];
+  const check = useGroupCheck(isMyTurn ? tableId : '', pending);
+
+  const loadMelds = async () => {
+    try {
+      const response = await apiClient.get_table_melds({ table_id: tableId });
+      setBoard(await response.json());
+    } catch (error) {
+      console.error('Failed to load table melds:', error);
+    }
+  };
 
   useEffect(() => {
-    socket.emit('getPlayerMelds', { roomId, playerId });
-    socket.on('playerMelds', ({ melds: serverMelds, locked: serverLocked }) => {
-      if (serverMelds) {
-        setMelds(serverMelds);
-        setLocked(!!serverLocked);
-        try { localStorage.setItem(`melds_${roomId}_${playerId}`, JSON.stringify(serverMelds)); } catch(e) {}
-      } else {
-        const saved = localStorage.getItem(`melds_${roomId}_${playerId}`);
-        if (saved) setMelds(JSON.parse(saved));
-      }
+    loadMelds();
+    const unsubscribe = subscribeTableEvents(tableId, (type) => {
+      if (type === 'melds' || type === 'round_started' || type === 'draw' || type === 'round_finished') loadMelds();
     });
+    return unsubscribe;
+  }, [tableId]);
 
-    socket.on('playerMeldsUpdated', ({ playerId: pid, melds: updated }) => {
-      // could show toast for other players; no-op here
-    });
+  const nameOf = (userId: string) =>
+    userId === currentUserId ? 'You' : players.find((p) => p.user_id === userId)?.display_name || 'Player';
 
-    return () => {
-      socket.off('playerMelds');
-      socket.off('playerMeldsUpdated');
-    };
-  }, [roomId, playerId]);
+  const toCard = ({ rank, suit, joker }: CardView) => ({ rank, suit, joker });
 
-  function handleLock() {
-    const sizes = melds.map(m => m.length);
-    const isShapeValid = sizes[0] === 3 && sizes[1] === 3 && sizes[2] === 3 && sizes[3] === 4;
-    if (!isShapeValid) {
-      alert('Melds should be arranged as 3,3,3,4');
-      return;
+  const lay = async (meldId?: number, groups?: CardView[][]) => {
+    if ((!groups && !selectedCards.length) || laying) return;
+    setLaying(true);
+    try {
+      const response = await apiClient.lay_meld({
+        table_id: tableId,
+        cards: groups ? [] : selectedCards.map(toCard),
+        meld_id: meldId ?? null,
+        groups: groups ? groups.map((group) => group.map(toCard)) : null,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        toast.error(data.detail || 'Those cards cannot be laid down');
+        return;
+      }
+      setBoard(data);
+      onLaid?.();
+    } catch (error) {
+      console.error('Failed to lay down cards:', error);
+      toast.error('Failed to lay down cards');
+    } finally {
+      setLaying(false);
     }
-    setLocked(true);
-    socket.emit('lockMelds', { roomId, playerId, melds });
-    try { localStorage.setItem(`melds_${roomId}_${playerId}`, JSON.stringify(melds)); } catch(e) {}
-  }
+  };
+
+  if (!board) return null;
+  const canLay = isMyTurn && selectedCards.length > 0 && !board.finished_at;
+  const hasGoneDown = board.melds.some((meld) => meld.owner === currentUserId);
+  const canGoDown = !!board.contract && isMyTurn && !hasGoneDown && stagedGroups.length > 0 && !board.finished_at;
+  const contractText = board.contract
+    ? [
+        board.contract.sets ? `${board.contract.sets} set${board.contract.sets > 1 ? 's' : ''}` : null,
+        board.contract.runs ? `${board.contract.runs} run${board.contract.runs > 1 ? 's' : ''}` : null,
+      ].filter(Boolean).join(' + ')
+    : null;
 
   return (
-    <div className="meld-board">
-      <div className="meld-row">
-        {melds.map((m, idx) => (
-          <div key={idx} className="meld">
-            <div className="meld-title">Meld {idx + 1} ({idx === 3 ? 4 : 3}) {locked && <span className="lock">🔒</span>}</div>
-            <div className="slots">
-              {(idx === 3 ? [0,1,2,3] : [0,1,2]).map((s) => (
-                <div key={s} className="slot">{m[s] ? <Card card={m[s]} /> : <div className="empty-slot">{s+1}</div>}</div>
-              ))}
-            </div>
-          </div>
-        ))}
+    <div className="bg-slate-900/80 border border-slate-700 rounded-lg p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-bold text-slate-200">
+          Table Melds
+          {contractText && <span className="ml-2 text-xs font-normal text-amber-300">Contract: {contractText}</span>}
+        </div>
+        {canGoDown ? (
+          <Button size="sm" onClick={() => lay(undefined, stagedGroups)} disabled={laying}>
+            Go down with {stagedGroups.length} meld(s)
+          </Button>
+        ) : (
+          canLay && !board.contract && (
+            <Button size="sm" onClick={() => lay()} disabled={laying}>
+              Meld {selectedCards.length} card(s)
+            </Button>
+          )
+        )}
       </div>
-      <button disabled={locked} onClick={handleLock}>{locked ? 'Locked' : 'Lock Melds'}</button>
+
+      {check && pending.length > 0 && (
+        <div className="flex flex-wrap gap-3">
+          {pending.map((group, groupIdx) => (
+            <div
+              key={groupIdx}
+              className={`rounded-lg p-1 ${verdictRing(check.melds[groupIdx])}`}
+              title={check.melds[groupIdx]?.reason}
+            >
+              <div className="flex gap-1">
+                {group.map((card, idx) => (
+                  <div key={idx} className="transform scale-75 origin-top-left">
+                    <PlayingCard card={card} />
+                  </div>
+                ))}
+              </div>
+              {check.melds[groupIdx] && !check.melds[groupIdx].valid && (
+                <div className="text-[10px] text-red-400 px-1">{check.melds[groupIdx].reason}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {board.must_meld && isMyTurn && (
+        <div className="text-xs text-amber-300">
+          Meld the {board.must_meld.code} you picked from the discard pile before discarding
+        </div>
+      )}
+
+      {board.melds.length === 0 ? (
+        <div className="text-xs text-slate-500">No melds on the table yet</div>
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          {board.melds.map((meld) => (
+            <button
+              key={meld.id}
+              type="button"
+              disabled={!canLay || laying}
+              onClick={() => lay(meld.id)}
+              title={canLay ? 'Lay off the selected cards here' : undefined}
+              className={`text-left border-2 rounded-lg p-2 ${
+                canLay ? 'border-green-600/60 hover:bg-green-950/40 cursor-pointer' : 'border-slate-700 cursor-default'
+              }`}
+            >
+              <div className="text-[10px] text-slate-400 mb-1">
+                {nameOf(meld.owner)} · {meld.kind === 'set' ? 'Set' : 'Run'}
+              </div>
+              <div className="flex gap-1">
+                {meld.cards.map((card, idx) => (
+                  <div key={idx} className="transform scale-75 origin-top-left" title={`Laid by ${nameOf(meld.laid_by[idx])}`}>
+                    <PlayingCard card={card} />
+                  </div>
+                ))}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {Object.keys(board.points).length > 0 && (
+        <div className="flex flex-wrap gap-3 text-xs text-slate-400 pt-2 border-t border-slate-700">
+          {Object.entries(board.points).map(([userId, points]) => (
+            <span key={userId}>
+              {nameOf(userId)}: <span className="text-green-400 font-semibold">+{points}</span>
+            </span>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
-
-function Card({ card }) {
-  return <div className="card">{card.rank}{card.suit}</div>;
-}
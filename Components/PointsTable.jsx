@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { ChevronDown, ChevronUp, Trophy } from 'lucide-react';
+import { ChevronDown, ChevronUp, RotateCcw, Trophy } from 'lucide-react';
 import type { TableInfoResponse } from '../apiclient/data-contracts';
 
 export interface Props {
@@ -75,12 +75,26 @@ export const PointsTable: React.FC<Props> = ({ info, roundHistory }) => {
               </thead>
               <tbody>
                 {info.players.map(player => {
-                  const totalScore = runningTotals[player.user_id] || 0;
+                  // A re-join resets the total to the buy-back score, which round history can't show
+                  const totalScore = player.rejoins ? player.total_points : runningTotals[player.user_id] || 0;
                   return (
-                    <tr key={player.user_id} className="border-b border-border/50 hover:bg-accent/30">
+                    <tr
+                      key={player.user_id}
+                      className={`border-b border-border/50 hover:bg-accent/30 ${player.disqualified ? 'opacity-50' : ''}`}
+                    >
                       <td className="py-2 px-2 text-foreground">
                         <div className="flex items-center gap-1">
                           {player.display_name || 'Player'}
+                          {player.rejoins > 0 && (
+                            <span
+                              className="flex items-center text-xs text-blue-500"
+                              title={`Re-joined ${player.rejoins}x`}
+                            >
+                              <RotateCcw className="w-3 h-3" />
+                              {player.rejoins}
+                            </span>
+                          )}
+                          {player.disqualified && <span className="text-xs text-red-500">Out</span>}
                         </div>
                       </td>
                       {roundHistory.map((round, idx) => {
@@ -1,7 +1,7 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
-import { Trophy, Crown } from "lucide-react";
+import { Trophy, Crown, Hourglass } from "lucide-react";
 import { PlayingCard } from "./PlayingCard";
 import type { RevealedHandsResponse } from "../apiclient/data-contracts";
 import { toast } from 'sonner';
@@ -20,20 +20,35 @@ export interface Props {
 
 export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, players, currentUserId, tableId, hostUserId, onNextRound }) => {
   const [startingNextRound, setStartingNextRound] = useState(false);
-  
+  const [now, setNow] = useState(Date.now());
+  const finishing = data?.round_status === 'finishing';
+
+  // Tick the finish-phase countdown while the others arrange their cards
+  useEffect(() => {
+    if (!finishing) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [finishing]);
+
   if (!data) return null;
 
-  // Sort players by score (lowest first, as lower is better)
+  const arranging = data.arranging || [];
+  const secondsLeft = data.finish_deadline
+    ? Math.max(0, Math.ceil((new Date(data.finish_deadline).getTime() - now) / 1000))
+    : 0;
+
+  // Sort players by score (lowest first, as lower is better); hands still being arranged go last
   const sortedPlayers = players
-    .filter(p => data.scores[p.user_id] !== undefined)
+    .filter(p => data.scores[p.user_id] !== undefined || (finishing && data.revealed_hands[p.user_id]))
     .map(p => ({
       ...p,
       score: data.scores[p.user_id],
       cards: data.revealed_hands[p.user_id] || [],
       organized: data.organized_melds?.[p.user_id] || null,
-      isWinner: p.user_id === data.winner_user_id
+      isWinner: p.user_id === data.winner_user_id,
+      isArranging: arranging.includes(p.user_id)
     }))
-    .sort((a, b) => a.score - b.score);
+    .sort((a, b) => (a.isWinner ? -1 : b.isWinner ? 1 : (a.score ?? Infinity) - (b.score ?? Infinity)));
 
   const winnerName = sortedPlayers.find(p => p.isWinner)?.display_name || "Winner";
   const isHost = currentUserId === hostUserId;
@@ -41,7 +56,9 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
   const handleStartNextRound = async () => {
     setStartingNextRound(true);
     try {
-      await apiclient.start_next_round({ table_id: tableId });
+      // Fresh client seed so every deal mixes in entropy the server did not choose
+      const seed = crypto.getRandomValues(new Uint32Array(1))[0];
+      await apiclient.start_next_round({ table_id: tableId, seed });
       toast.success('Starting next round!');
       onClose();
       if (onNextRound) onNextRound();
@@ -59,7 +76,7 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
         <DialogHeader>
           <DialogTitle className="flex items-center gap-3 text-2xl text-amber-400">
             <Trophy className="w-8 h-8 text-yellow-400" />
-            Round {data.round_number} Complete!
+            {finishing ? `Round ${data.round_number}: Arranging Cards` : `Round ${data.round_number} Complete!`}
           </DialogTitle>
         </DialogHeader>
 
@@ -68,8 +85,16 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
           <div className="bg-gradient-to-r from-yellow-900/30 to-amber-900/30 border border-yellow-600/40 rounded-lg p-4 text-center">
             <div className="flex items-center justify-center gap-2 text-xl font-bold text-yellow-300">
               <Crown className="w-6 h-6" />
-              {winnerName} wins with {sortedPlayers[0]?.score || 0} points!
+              {finishing ? `${winnerName} has shown!` : `${winnerName} wins with ${sortedPlayers[0]?.score || 0} points!`}
             </div>
+            {finishing && (
+              <div className="flex items-center justify-center gap-2 mt-2 text-sm text-amber-200">
+                <Hourglass className="w-4 h-4" />
+                {arranging.length > 0
+                  ? `Waiting for ${arranging.length} player(s) to arrange their cards - ${secondsLeft}s left before auto-arrange`
+                  : 'Scoring the round...'}
+              </div>
+            )}
           </div>
 
           {/* Players list */}
@@ -92,9 +117,14 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
                     {player.user_id === currentUserId && (
                       <span className="text-xs bg-blue-600/30 text-blue-300 px-2 py-1 rounded">You</span>
                     )}
+                    {player.isArranging && (
+                      <span className="text-xs bg-amber-600/30 text-amber-300 px-2 py-1 rounded flex items-center gap-1">
+                        <Hourglass className="w-3 h-3" /> Still arranging
+                      </span>
+                    )}
                   </div>
                   <div className="text-xl font-bold text-amber-400">
-                    {player.score} pts
+                    {player.score !== undefined ? `${player.score} pts` : '-'}
                   </div>
                 </div>
 
@@ -183,6 +213,29 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
                       </div>
                     )}
 
+                    {/* Tunnelas - 21-card Marriage tables only */}
+                    {player.organized.tunnelas?.length > 0 && (
+                      <div>
+                        <div className="text-xs font-bold text-amber-400 mb-1 flex items-center gap-2">
+                          <span className="bg-amber-900/50 px-2 py-0.5 rounded">✓ TUNNELA</span>
+                          <span className="text-xs text-slate-400">(Three Identical Cards)</span>
+                        </div>
+                        <div className="space-y-2">
+                          {player.organized.tunnelas.map((meld: any[], meldIdx: number) => (
+                            <div key={`tunnela-${meldIdx}`} className="border-2 border-amber-600/40 bg-amber-950/30 rounded-lg p-2">
+                              <div className="flex gap-1 flex-wrap">
+                                {meld.map((card: any, cardIdx: number) => (
+                                  <div key={cardIdx} className="transform scale-75 origin-top-left">
+                                    <PlayingCard card={card} />
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
                     {/* Ungrouped cards (deadwood) - PENALTY */}
                     {player.organized.ungrouped?.length > 0 && (
                       <div>
@@ -209,7 +262,8 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
                     <div className="text-xs text-slate-400 pt-2 border-t border-slate-700">
                       Total: {(player.organized.pure_sequences?.length || 0) + 
                              (player.organized.impure_sequences?.length || 0) + 
-                             (player.organized.sets?.length || 0)} valid melds, 
+                             (player.organized.sets?.length || 0) +
+                             (player.organized.tunnelas?.length || 0)} valid melds, 
                       {player.organized.ungrouped?.length || 0} deadwood cards
                     </div>
                   </div>
@@ -231,7 +285,7 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
             {isHost && (
               <Button 
                 onClick={handleStartNextRound} 
-                disabled={startingNextRound}
+                disabled={startingNextRound || finishing}
                 className="bg-green-600 hover:bg-green-700 font-semibold"
               >
                 {startingNextRound ? 'Starting...' : '🎮 Start Next Round'}
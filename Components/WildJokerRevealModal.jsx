@@ -5,9 +5,11 @@ interface Props {
   isOpen: boolean;
   onClose: () => void;
   wildJokerRank: string;
+  // The face-up cut card (RoundMeResponse.printed_joker) on tables that cut for the joker
+  cutCard?: { rank: string; suit?: string | null; joker?: boolean; code: string } | null;
 }
 
-export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJokerRank }) => {
+export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJokerRank, cutCard }) => {
   const [isFlipping, setIsFlipping] = useState(false);
 
   // Start flip animation shortly after modal opens
@@ -35,7 +37,13 @@ export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJok
     return { rank, suitSymbol: "♠", suitColor: "text-gray-900" };
   };
 
-  const { rank, suitSymbol, suitColor } = formatCardDisplay(wildJokerRank);
+  const { rank, suitSymbol, suitColor } = cutCard
+    ? cutCard.joker
+      ? { rank: "🃏", suitSymbol: "JOKER", suitColor: "text-purple-700" }
+      : formatCardDisplay(cutCard.code)
+    : formatCardDisplay(wildJokerRank);
+  // A cut printed joker makes aces wild, so name the rank from the server
+  const wildRank = cutCard ? wildJokerRank : rank;
 
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
@@ -69,8 +77,12 @@ export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJok
             </div>
           </div>
 
+          {cutCard && (
+            <p className="text-sm text-green-400">Cut from the deck and placed face-up under the stock</p>
+          )}
+
           <p className="text-center text-green-300 text-lg">
-            All <span className="font-bold text-yellow-400">{rank}</span> cards are now wild jokers!
+            All <span className="font-bold text-yellow-400">{wildRank}</span> cards are now wild jokers!
           </p>
 
           <button
@@ -0,0 +1,65 @@
+# Discard advisor
+# Hints for a human player's turn: what the likeliest discards leave behind and
+# whether the top of the discard pile is worth taking. Both run the ruleset's meld
+# search (scoring.find_best_arrangement), so variant rules and the player's own
+# joker reveal state apply. Tables can switch hints off (hints_enabled).
+# Hints answer polled requests, so each weighs at most HINT_CARDS throws and
+# every search runs on a HINT_SEARCH_STEPS budget.
+from __future__ import annotations
+from typing import List, Optional
+
+from app.libs.scoring import same_card, without_card
+
+HINT_CARDS = 6
+HINT_SEARCH_STEPS = 200_000
+
+
+def _throw_candidates(rules, hand: List[dict], deadwood: List[dict], ace_value: int) -> List[dict]:
+    """Distinct cards worth weighing as the throw: the hand's loose cards (deadwood
+    of its best arrangement), highest first, then the rest; at most HINT_CARDS."""
+    ordered = sorted(deadwood, key=lambda c: -rules.card_points(c, ace_value)) + list(hand)
+    candidates = []
+    for card in ordered:
+        if not any(same_card(card, c) for c in candidates):
+            candidates.append(card)
+    return candidates[:HINT_CARDS]
+
+
+def rank_discards(
+    rules, hand: List[dict], wild_joker_rank: Optional[str] = None, revealed: bool = False, ace_value: int = 10
+) -> List[dict]:
+    """The likeliest throws from a drawn hand with the best arrangement left after each.
+
+    Entries are {card, points, melds, deadwood}, least deadwood first; ties go to
+    throwing the higher card.
+    """
+    _, loose, _ = rules.best_arrangement(hand, wild_joker_rank, revealed, ace_value, HINT_SEARCH_STEPS)
+    options = []
+    for card in _throw_candidates(rules, hand, loose, ace_value):
+        melds, deadwood, points = rules.best_arrangement(
+            without_card(hand, card), wild_joker_rank, revealed, ace_value, HINT_SEARCH_STEPS
+        )
+        options.append({"card": card, "points": points, "melds": melds, "deadwood": deadwood})
+    options.sort(key=lambda o: (o["points"], -rules.card_points(o["card"], ace_value)))
+    return options
+
+
+def rate_discard_top(
+    rules,
+    hand: List[dict],
+    top: dict,
+    wild_joker_rank: Optional[str] = None,
+    revealed: bool = False,
+    ace_value: int = 10,
+) -> dict:
+    """How taking top would change a hand that hasn't drawn yet.
+
+    Returns {current, with_top, gain}: the best deadwood now, the best after taking
+    top and throwing one of the cards already held, and how much that saves.
+    """
+    _, loose, current = rules.best_arrangement(hand, wild_joker_rank, revealed, ace_value, HINT_SEARCH_STEPS)
+    with_top = min(
+        rules.best_arrangement(without_card(hand, card) + [top], wild_joker_rank, revealed, ace_value, HINT_SEARCH_STEPS)[2]
+        for card in _throw_candidates(rules, hand, loose, ace_value)
+    )
+    return {"current": current, "with_top": with_top, "gain": current - with_top}
@@ -2,10 +2,105 @@
 # Uses DATABASE_URL from environment. Provides a shared connection pool.
 
 import os
+import asyncio
 import asyncpg
+from contextlib import asynccontextmanager
 from typing import Optional
 
 _pool: Optional[asyncpg.Pool] = None
+_pool_lock = asyncio.Lock()
+# pg_advisory_lock key held while migrating, so app processes starting together
+# apply the schema changes one at a time
+MIGRATION_LOCK_KEY = 0x52756D6D79  # "Rummy"
+
+# Idempotent schema changes applied once when the pool is created.
+# Append new statements at the end; never edit or reorder existing ones.
+_MIGRATIONS = [
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS max_reshuffles INT NOT NULL DEFAULT 3",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS reshuffles JSONB NOT NULL DEFAULT '[]'::jsonb",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS turn_seconds INT NOT NULL DEFAULT 30",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS time_bank_seconds INT NOT NULL DEFAULT 60",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS max_timeouts INT NOT NULL DEFAULT 3",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS turn_deadline TIMESTAMPTZ",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS time_banks JSONB NOT NULL DEFAULT '{}'::jsonb",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS timeouts JSONB NOT NULL DEFAULT '{}'::jsonb",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS first_drop_penalty INT NOT NULL DEFAULT 20",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS middle_drop_penalty INT NOT NULL DEFAULT 40",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS full_count_penalty INT NOT NULL DEFAULT 80",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS drops JSONB NOT NULL DEFAULT '{}'::jsonb",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS drawn_by JSONB NOT NULL DEFAULT '[]'::jsonb",
+    "ALTER TABLE public.rummy_table_players ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false",
+    "ALTER TABLE public.rummy_table_players ADD COLUMN IF NOT EXISTS bot_level TEXT",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS next_server_seed TEXT",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS fairness JSONB",
+    """
+    CREATE TABLE IF NOT EXISTS public.rummy_round_events (
+        id BIGSERIAL PRIMARY KEY,
+        round_id UUID NOT NULL,
+        seq INT NOT NULL,
+        event_type TEXT NOT NULL,
+        user_id TEXT,
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (round_id, seq)
+    )
+    """,
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 0",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS game_type TEXT NOT NULL DEFAULT 'pool'",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS deals_count INT NOT NULL DEFAULT 2",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS starting_chips INT NOT NULL DEFAULT 160",
+    "ALTER TABLE public.rummy_table_players ADD COLUMN IF NOT EXISTS chips INT",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS chips_settled BOOLEAN NOT NULL DEFAULT false",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS point_value NUMERIC(12, 2) NOT NULL DEFAULT 1",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS ledger_settled BOOLEAN NOT NULL DEFAULT false",
+    """
+    CREATE TABLE IF NOT EXISTS public.rummy_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        table_id TEXT NOT NULL,
+        round_id UUID NOT NULL,
+        from_user_id TEXT NOT NULL,
+        to_user_id TEXT NOT NULL,
+        points INT NOT NULL,
+        amount NUMERIC(12, 2) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (round_id, from_user_id, to_user_id)
+    )
+    """,
+    "CREATE INDEX IF NOT EXISTS rummy_ledger_from_user_idx ON public.rummy_ledger (from_user_id)",
+    "CREATE INDEX IF NOT EXISTS rummy_ledger_to_user_idx ON public.rummy_ledger (to_user_id)",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS max_rejoins INT NOT NULL DEFAULT 1",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS rejoin_max_score INT NOT NULL DEFAULT 160",
+    "ALTER TABLE public.rummy_table_players ADD COLUMN IF NOT EXISTS rejoins INT NOT NULL DEFAULT 0",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS prize_pool NUMERIC(12, 2) NOT NULL DEFAULT 0",
+    """
+    CREATE TABLE IF NOT EXISTS public.rummy_split_proposals (
+        id UUID PRIMARY KEY,
+        table_id TEXT NOT NULL,
+        proposed_by TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        payouts JSONB NOT NULL,
+        accepted_by JSONB NOT NULL DEFAULT '[]'::jsonb,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        resolved_at TIMESTAMPTZ
+    )
+    """,
+    "CREATE UNIQUE INDEX IF NOT EXISTS rummy_split_proposals_open_idx ON public.rummy_split_proposals (table_id) WHERE status = 'open'",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS decks INT NOT NULL DEFAULT 2",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS printed_jokers_per_deck INT NOT NULL DEFAULT 2",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS wild_joker_cut BOOLEAN NOT NULL DEFAULT false",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS ruleset TEXT NOT NULL DEFAULT 'indian'",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS table_melds JSONB NOT NULL DEFAULT '[]'::jsonb",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS turn_drawn BOOLEAN NOT NULL DEFAULT false",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS must_meld JSONB",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS contract_schedule JSONB",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS buy_open BOOLEAN NOT NULL DEFAULT false",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS buys JSONB NOT NULL DEFAULT '{}'::jsonb",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS finish_seconds INT NOT NULL DEFAULT 30",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS finish_deadline TIMESTAMPTZ",
+    "ALTER TABLE public.rummy_rounds ADD COLUMN IF NOT EXISTS arrangements JSONB NOT NULL DEFAULT '{}'::jsonb",
+    "ALTER TABLE public.rummy_tables ADD COLUMN IF NOT EXISTS hints_enabled BOOLEAN NOT NULL DEFAULT true",
+]
 
 
 async def get_pool() -> asyncpg.Pool:
@@ -14,13 +109,30 @@ async def get_pool() -> asyncpg.Pool:
     The pool is cached in module state to avoid recreating it for each request.
     """
     global _pool
-    if _pool is None:
+    if _pool is not None:
+        return _pool
+    # Concurrent first requests wait for one pool rather than each opening their own
+    async with _pool_lock:
+        if _pool is not None:
+            return _pool
         dsn = os.environ.get("DATABASE_URL")
         if not dsn:
             # In Riff, DATABASE_URL is provided as a secret in both dev and prod
             raise RuntimeError("DATABASE_URL is not configured")
         # Min pool size 1 to keep footprint small; adjust later if needed
-        _pool = await asyncpg.create_pool(dsn=dsn, min_size=1, max_size=10)
+        pool = await asyncpg.create_pool(dsn=dsn, min_size=1, max_size=10)
+        try:
+            async with pool.acquire() as conn:
+                await conn.execute("SELECT pg_advisory_lock($1)", MIGRATION_LOCK_KEY)
+                try:
+                    for statement in _MIGRATIONS:
+                        await conn.execute(statement)
+                finally:
+                    await conn.execute("SELECT pg_advisory_unlock($1)", MIGRATION_LOCK_KEY)
+        except BaseException:
+            await pool.close()
+            raise
+        _pool = pool
     return _pool
 
 
@@ -46,3 +158,16 @@ async def executemany(query: str, args_list):
     pool = await get_pool()
     async with pool.acquire() as conn:
         return await conn.executemany(query, args_list)
+
+
+@asynccontextmanager
+async def transaction():
+    """Yield a connection inside a transaction.
+
+    Commits when the block exits normally and rolls back if it raises, so a
+    multi-statement change is applied entirely or not at all.
+    """
+    pool = await get_pool()
+    async with pool.acquire() as conn:
+        async with conn.transaction():
+            yield conn
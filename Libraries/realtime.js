@@ -0,0 +1,108 @@
+# Per-table push channel
+# Game and chat endpoints publish small public events (turn changes, discard top,
+# chat messages, declarations, seat changes) with publish(). They travel over
+# Postgres NOTIFY so every app process sees them, and each process fans them out
+# to the table streams its clients hold open (see /tables/stream in game.js).
+from __future__ import annotations
+import asyncio
+import json
+import os
+from contextlib import asynccontextmanager
+from typing import Dict, List, Optional, Set
+
+import asyncpg
+
+from app.libs.db import execute
+
+CHANNEL = "rummy_table_events"
+# NOTIFY payloads are capped at 8000 bytes; larger events go out without data
+MAX_PAYLOAD_BYTES = 7500
+QUEUE_SIZE = 100
+
+_subscribers: Dict[str, Set[asyncio.Queue]] = {}
+_listener: Optional[asyncpg.Connection] = None
+_listener_lock = asyncio.Lock()
+
+
+async def publish(table_id: str, event_type: str, data: dict, visible_to: Optional[List[str]] = None):
+    """Push an event to everyone streaming this table.
+
+    visible_to limits delivery to those user_ids (private chat). Publishing never
+    fails the calling request; a lost event only means clients refresh later.
+    """
+    message = {"table_id": table_id, "type": event_type, "data": data, "visible_to": visible_to}
+    payload = json.dumps(message, default=str)
+    if len(payload.encode()) > MAX_PAYLOAD_BYTES:
+        message["data"] = {"truncated": True}
+        payload = json.dumps(message)
+    try:
+        await execute("SELECT pg_notify($1, $2)", CHANNEL, payload)
+    except Exception as e:
+        print(f"⚠️ Failed to publish {event_type} for table {table_id}: {e}")
+
+
+def _on_notify(connection, pid, channel, payload):
+    message = json.loads(payload)
+    for queue in _subscribers.get(message["table_id"], ()):
+        try:
+            queue.put_nowait(message)
+        except asyncio.QueueFull:
+            # A stalled client misses events rather than holding memory
+            pass
+
+
+def _end_stream(queue: asyncio.Queue):
+    """Tell a subscriber its stream is over (a None in the queue), even when it is full."""
+    while True:
+        try:
+            queue.put_nowait(None)
+            return
+        except asyncio.QueueFull:
+            queue.get_nowait()
+
+
+def _on_terminate(connection):
+    # Events stopped arriving with the LISTEN connection. End the open streams so
+    # their clients reconnect; the first new subscriber opens a fresh listener.
+    global _listener
+    if _listener is connection:
+        _listener = None
+    for queues in list(_subscribers.values()):
+        for queue in queues:
+            _end_stream(queue)
+
+
+async def _ensure_listener():
+    """Open this process's LISTEN connection on first use, or after it drops."""
+    global _listener
+    async with _listener_lock:
+        if _listener is not None and not _listener.is_closed():
+            return
+        _listener = await asyncpg.connect(os.environ.get("DATABASE_URL"))
+        _listener.add_termination_listener(_on_terminate)
+        await _listener.add_listener(CHANNEL, _on_notify)
+
+
+def has_subscribers(table_id: str) -> bool:
+    """Whether any stream in this process is still following the table."""
+    return bool(_subscribers.get(table_id))
+
+
+@asynccontextmanager
+async def subscribe(table_id: str):
+    """Yield a queue receiving this table's events for as long as the block runs.
+
+    A None from the queue means events stopped (the listener dropped): end the
+    stream so the client reconnects.
+    """
+    await _ensure_listener()
+    queue: asyncio.Queue = asyncio.Queue(maxsize=QUEUE_SIZE)
+    _subscribers.setdefault(table_id, set()).add(queue)
+    try:
+        yield queue
+    finally:
+        subs = _subscribers.get(table_id)
+        if subs is not None:
+            subs.discard(queue)
+            if not subs:
+                del _subscribers[table_id]
@@ -0,0 +1,704 @@
+# Rummy rulesets
+# A RuleSet bundles everything that differs between rummy variants: deck and deal,
+# meld and declaration checks, card values and the points cap, default drop
+# penalties and which joker options a table may use. Each table stores the name of
+# its ruleset and the game endpoints ask it instead of assuming 13-card Indian
+# rules, so a house variant is a subclass registered in RULESETS.
+from __future__ import annotations
+from typing import Dict, List, Optional, Tuple
+
+from app.libs.rummy_models import (
+    DeckConfig,
+    DealResult,
+    MIN_STOCK_CARDS,
+    default_decks,
+    deal_initial,
+    stock_after_deal,
+)
+from app.libs.scoring import (
+    RANK_ORDER,
+    _get_card_attr,
+    _is_joker_card,
+    card_code,
+    card_points,
+    same_card,
+    classify_meld,
+    validate_declaration,
+    find_best_arrangement,
+    calculate_deadwood_points,
+    contract_text,
+    validate_contract,
+)
+
+WILD_JOKER_MODES = ("no_joker", "close_joker", "open_joker")
+
+
+class RuleSet:
+    """13-card Indian Rummy: two sequences, one of them pure, deadwood capped at 80."""
+
+    name = "indian"
+    title = "Indian Rummy (13 cards)"
+    hand_size = 13
+    min_players = 2
+    max_players = 10
+    points_cap = 80  # most a losing hand can score
+    drop_penalties = {"first": 20, "middle": 40, "full_count": 80}
+    default_disqualify_score = 200  # pool tables
+    wild_joker_modes = WILD_JOKER_MODES
+    default_wild_joker_mode = "open_joker"
+    printed_jokers = True  # tables may add printed jokers to the deck
+    ace_values = (1, 10)
+    default_ace_value = 10
+    drops = True  # players may drop out of a deal
+    rejoins = True  # busted pool players may buy back in
+    knocking = False  # rounds end with a knock (Gin) rather than a full show
+    requires_cut_joker = False  # the wild joker must be a cut card (wild_joker_cut)
+    table_melds = False  # melds are laid on the table during play (Rummy 500)
+    deep_discard_picks = False  # players may take several cards off the discard pile
+    counts_up = False  # round scores are points won; the first total to reach disqualify_score wins
+    busts = True  # pool players go out at disqualify_score (see game_winner for rulesets that end otherwise)
+    contracts = False  # each deal has a contract to go down with (contract rummy)
+    buys_per_deal = 0  # out-of-turn discard buys each player gets per deal
+    min_pure_sequences = 1  # a show needs this many pure sequences...
+    min_sequences = 2  # ...and this many sequences in all
+    require_sequences = True  # melds only protect cards alongside those sequences
+    bots = True  # rummy_bot can play these rules
+    hints = True  # the discard advisor can search these hands in reasonable time
+    search_steps: Optional[int] = None  # most melds one meld search tries (None: a full search)
+
+    # ---- Deck and deal ----
+    def default_decks(self, max_players: int) -> int:
+        return default_decks(max_players)
+
+    def deck_config(self, decks: int, jokers_per_deck: int) -> DeckConfig:
+        jokers = jokers_per_deck if self.printed_jokers else 0
+        return DeckConfig(decks=decks, include_printed_jokers=jokers > 0, jokers_per_deck=jokers)
+
+    def deal(
+        self,
+        user_ids: List[str],
+        cfg: DeckConfig,
+        server_seed: Optional[str] = None,
+        client_seed: str = "",
+        nonce: int = 0,
+        cut_joker: bool = False,
+    ) -> DealResult:
+        return deal_initial(user_ids, cfg, server_seed, client_seed, nonce, cut_joker, self.hand_size)
+
+    def check_table(
+        self, max_players: int, decks: int, jokers_per_deck: int, wild_joker_mode: str, cut_joker: bool, ace_value: int
+    ) -> Optional[str]:
+        """Why these table settings can't be played under this ruleset, or None if they can."""
+        if not self.min_players <= max_players <= self.max_players:
+            return f"{self.title} seats {self.min_players}-{self.max_players} players"
+        if wild_joker_mode not in self.wild_joker_modes:
+            return f"{self.title} supports wild_joker_mode {', '.join(self.wild_joker_modes)}"
+        if ace_value not in self.ace_values:
+            return f"{self.title} counts aces as {' or '.join(str(v) for v in self.ace_values)}"
+        if jokers_per_deck and not self.printed_jokers:
+            return f"{self.title} is played without printed jokers"
+        if self.requires_cut_joker and (wild_joker_mode == "no_joker" or not cut_joker):
+            return f"{self.title} needs a cut wild joker (wild_joker_cut)"
+        cfg = self.deck_config(decks, jokers_per_deck)
+        if stock_after_deal(cfg, max_players, self.hand_size, cut_joker) < MIN_STOCK_CARDS:
+            return f"{decks} deck(s) cannot deal {max_players} players and leave {MIN_STOCK_CARDS} cards in the stock"
+        return None
+
+    # ---- Jokers and card values ----
+    def is_joker(self, card: dict, wild_joker_rank: Optional[str], revealed: bool = True) -> bool:
+        return _is_joker_card(card, wild_joker_rank, revealed)
+
+    def card_points(self, card: dict, ace_value: int = 10) -> int:
+        return card_points(card, ace_value)
+
+    # ---- Turn ----
+    def has_drawn(self, hand: List[dict], turn_drawn: bool) -> bool:
+        """Whether the active player has drawn this turn. Hands stay at hand_size between
+        turns, so the count tells; rulesets whose hands shrink use the round's turn_drawn flag."""
+        return len(hand) > self.hand_size
+
+    # ---- Melds and declaration ----
+    def classify_meld(self, cards: List[dict], wild_joker_rank: Optional[str], revealed: bool = True) -> Tuple[Optional[str], str]:
+        return classify_meld(cards, wild_joker_rank, revealed)
+
+    def validate_declaration(
+        self, hand: List[dict], groups: List[List[dict]], wild_joker_rank: Optional[str], revealed: bool = True
+    ) -> dict:
+        """Check declared groups against the declarer's hand; see scoring.validate_declaration."""
+        return validate_declaration(hand, groups, wild_joker_rank, revealed, self.hand_size)
+
+    # ---- Scoring ----
+    def _search_budget(self, max_steps: Optional[int]) -> Optional[int]:
+        """The tighter of a caller's step budget and the ruleset's own."""
+        budgets = [b for b in (max_steps, self.search_steps) if b is not None]
+        return min(budgets) if budgets else None
+
+    def best_arrangement(
+        self,
+        hand: List[dict],
+        wild_joker_rank: Optional[str],
+        revealed: bool = True,
+        ace_value: int = 10,
+        max_steps: Optional[int] = None,
+    ) -> Tuple[List[List[dict]], List[dict], int]:
+        """(melds, deadwood, points) for the arrangement that leaves the least deadwood.
+
+        max_steps bounds the search (see scoring.find_best_arrangement) for callers
+        that answer per request and would rather be quick than exact.
+        """
+        return find_best_arrangement(
+            hand, wild_joker_rank, revealed, ace_value, self.points_cap, max_steps=self._search_budget(max_steps)
+        )
+
+    def score_arrangement(
+        self, groups: List[List[dict]], wild_joker_rank: Optional[str], revealed: bool = True, ace_value: int = 10
+    ) -> Tuple[List[List[dict]], List[dict], int]:
+        """(melds, deadwood, points) for a hand grouped by its own player.
+
+        Melds protect their cards under the same rules as best_arrangement: none
+        without a pure sequence, only pure ones until the hand has the sequences a
+        show needs. With require_sequences off every valid meld counts.
+        """
+        kinds = [self.classify_meld(group, wild_joker_rank, revealed)[0] for group in groups]
+        if not self.require_sequences:
+            protected = {kind for kind in kinds if kind}
+        else:
+            pure = sum(kind in ("pure_sequence", "tunnela") for kind in kinds)
+            seqs = sum(kind in ("pure_sequence", "sequence", "tunnela") for kind in kinds)
+            if pure < 1:
+                protected = set()
+            elif pure >= self.min_pure_sequences and seqs >= self.min_sequences:
+                protected = {"pure_sequence", "sequence", "set", "tunnela"}
+            else:
+                protected = {"pure_sequence", "tunnela"}
+        melds = [group for group, kind in zip(groups, kinds) if kind in protected]
+        deadwood = [card for group, kind in zip(groups, kinds) if kind not in protected for card in group]
+        return melds, deadwood, self.deadwood_points(deadwood, wild_joker_rank, revealed, ace_value)
+
+    def deadwood_points(self, cards: List[dict], wild_joker_rank: Optional[str], revealed: bool = True, ace_value: int = 10) -> int:
+        return calculate_deadwood_points(cards, wild_joker_rank, revealed, ace_value, self.points_cap)
+
+    def wrong_show_points(self, hand: List[dict], wild_joker_rank: Optional[str], revealed: bool = True, ace_value: int = 10) -> int:
+        """Points for a failed declaration: the whole hand counts."""
+        return self.deadwood_points(hand, wild_joker_rank, revealed, ace_value)
+
+    def game_winner(self, totals: Dict[str, int], deals_played: int, target: int, schedule: Optional[list] = None) -> Optional[str]:
+        """Winner once the game is over by this ruleset's own end condition, else None.
+        Rulesets that bust players at disqualify_score leave that to the pool rules."""
+        return None
+
+    def adjust_scores(
+        self,
+        scores: Dict[str, int],
+        winner: Optional[str],
+        hands: Dict[str, List[dict]],
+        organized_melds: Dict[str, dict],
+        printed_joker: Optional[dict],
+    ) -> Tuple[Dict[str, int], Optional[dict]]:
+        """Variant bonuses on top of a valid show's deadwood scores.
+
+        Returns (scores, details) where details is stored with the declaration.
+        """
+        return scores, None
+
+
+class GinRuleSet(RuleSet):
+    """Two-player Gin Rummy: 10 cards, knock on 10 or less deadwood, play to 100.
+
+    One deck, no jokers, aces low. The knocker's opponent lays off loose cards on
+    the knocker's melds (not after gin), then the lower deadwood scores the
+    difference; an opponent at or below the knocker undercuts and takes the
+    bonus. A hand's points are recorded against the loser, so a pool table with
+    disqualify_score 100 ends when one player has been outscored by 100.
+    """
+
+    name = "gin"
+    title = "Gin Rummy"
+    hand_size = 10
+    max_players = 2
+    points_cap = 100  # ten cards can never hold more deadwood than this
+    drop_penalties = {"first": 25, "middle": 25, "full_count": 100}
+    default_disqualify_score = 100
+    wild_joker_modes = ("no_joker",)
+    default_wild_joker_mode = "no_joker"
+    printed_jokers = False
+    ace_values = (1,)
+    default_ace_value = 1
+    drops = False
+    rejoins = False
+    knocking = True
+    require_sequences = False
+    bots = False
+    knock_limit = 10  # most deadwood a player may knock with
+    gin_bonus = 25
+    undercut_bonus = 25
+
+    def default_decks(self, max_players: int) -> int:
+        return 1
+
+    def is_joker(self, card: dict, wild_joker_rank: Optional[str], revealed: bool = True) -> bool:
+        return False
+
+    def classify_meld(self, cards: List[dict], wild_joker_rank: Optional[str] = None, revealed: bool = False) -> Tuple[Optional[str], str]:
+        kind, reason = classify_meld(cards, None, False)
+        ranks = {_get_card_attr(c, "rank") for c in cards}
+        if kind in ("pure_sequence", "sequence") and {"A", "K"} <= ranks:
+            return None, "Aces are low in Gin: runs cannot go K-A"
+        return kind, reason
+
+    def best_arrangement(
+        self,
+        hand: List[dict],
+        wild_joker_rank: Optional[str] = None,
+        revealed: bool = False,
+        ace_value: int = 1,
+        max_steps: Optional[int] = None,
+    ) -> Tuple[List[List[dict]], List[dict], int]:
+        return find_best_arrangement(
+            hand, None, False, self.default_ace_value, self.points_cap, require_sequences=False, ace_high=False,
+            max_steps=self._search_budget(max_steps),
+        )
+
+    def deadwood_points(self, cards: List[dict], wild_joker_rank: Optional[str] = None, revealed: bool = False, ace_value: int = 1) -> int:
+        return calculate_deadwood_points(cards, None, False, self.default_ace_value, self.points_cap)
+
+    def validate_knock(self, hand: List[dict], groups: List[List[dict]], discard: Optional[dict]) -> dict:
+        """Check a knock: melds from the 11-card hand, one discard, the rest deadwood.
+
+        discard may be left out when the groups hold all but one card (gin).
+        Returns the same verdict shape as validate_declaration plus
+        'deadwood', 'deadwood_points' and 'gin'.
+        """
+        verdicts = []
+        for group in groups:
+            kind, reason = self.classify_meld(group)
+            verdicts.append({"cards": [card_code(c) for c in group], "kind": kind, "valid": kind is not None, "reason": reason})
+
+        def result(valid: bool, reason: str, discard=None, deadwood=None, points: int = 0) -> dict:
+            return {
+                "valid": valid,
+                "reason": reason,
+                "melds": verdicts,
+                "discard": discard,
+                "deadwood": deadwood or [],
+                "deadwood_points": points,
+                "gin": valid and points == 0,
+            }
+
+        if len(hand) != self.hand_size + 1:
+            return result(False, f"Must have exactly {self.hand_size + 1} cards to knock, found {len(hand)}")
+        remaining = list(hand)
+        for card in [c for group in groups for c in group] + ([discard] if discard else []):
+            idx = next((i for i, c in enumerate(remaining) if same_card(c, card)), None)
+            if idx is None:
+                return result(False, f"{card_code(card)} is not in your hand (or is used twice)")
+            taken = remaining.pop(idx)
+            if card is discard:
+                # Hand the caller the card as dealt, not as the client sent it
+                discard = taken
+        if discard is None:
+            if len(remaining) != 1:
+                return result(False, "Choose the card to discard when knocking")
+            discard = remaining.pop()
+
+        invalid = [v for v in verdicts if not v["valid"]]
+        if invalid:
+            first = invalid[0]
+            return result(False, f"Invalid meld [{', '.join(first['cards'])}]: {first['reason']}", discard, remaining)
+        points = self.deadwood_points(remaining)
+        if points > self.knock_limit:
+            return result(False, f"Knocking needs {self.knock_limit} or less deadwood, you have {points}", discard, remaining, points)
+        return result(True, "Gin" if points == 0 else "Knock", discard, remaining, points)
+
+    def lay_off(self, melds: List[List[dict]], cards: List[dict]) -> Tuple[List[dict], List[dict]]:
+        """Add as many cards as fit onto melds (which are extended in place).
+
+        Repeats until nothing more fits, so a run can grow one card at a time.
+        Returns (laid_off, still_loose).
+        """
+        loose = list(cards)
+        laid_off: List[dict] = []
+        placed = True
+        while placed:
+            placed = False
+            for card in list(loose):
+                for meld in melds:
+                    if self.classify_meld(meld + [card])[0] is not None:
+                        meld.append(card)
+                        loose.remove(card)
+                        laid_off.append(card)
+                        placed = True
+                        break
+        return laid_off, loose
+
+    def score_knock(self, knocker: str, hands: Dict[str, List[dict]], groups: List[List[dict]], verdict: dict) -> dict:
+        """Settle a valid knock against the opponent's best arrangement.
+
+        Returns {'scores', 'winner', 'organized_melds', 'summary'}; scores holds the
+        points each player concedes this hand.
+        """
+        knocker_melds = [list(g) for g in groups]
+        knocker_points = verdict["deadwood_points"]
+        scores = {uid: 0 for uid in hands}
+        organized = {}
+        summary = {"knocker": knocker, "knocker_deadwood": knocker_points, "gin": verdict["gin"], "undercut": False}
+        winner = knocker
+
+        for uid, cards in hands.items():
+            if uid == knocker:
+                continue
+            melds, loose, _ = self.best_arrangement(cards)
+            laid_off: List[dict] = []
+            if not verdict["gin"]:
+                laid_off, loose = self.lay_off(knocker_melds, loose)
+            points = self.deadwood_points(loose)
+            organized[uid] = dict(self._organized(melds, loose), laid_off=laid_off)
+            summary.update(defender=uid, defender_deadwood=points, laid_off=[card_code(c) for c in laid_off])
+            if verdict["gin"]:
+                scores[uid] = points + self.gin_bonus
+            elif knocker_points < points:
+                scores[uid] = points - knocker_points
+            else:
+                summary["undercut"] = True
+                winner = uid
+                scores[knocker] = knocker_points - points + self.undercut_bonus
+        # Lay-offs extend the knocker's melds, show them as they ended up
+        organized[knocker] = self._organized(knocker_melds, verdict["deadwood"])
+        return {"scores": scores, "winner": winner, "organized_melds": organized, "summary": summary}
+
+    def _organized(self, melds: List[List[dict]], deadwood: List[dict]) -> dict:
+        """Melds grouped the way revealed hands are shown."""
+        out = {"pure_sequences": [], "sequences": [], "sets": [], "deadwood": list(deadwood)}
+        for meld in melds:
+            kind, _ = self.classify_meld(meld)
+            out["sets" if kind == "set" else "pure_sequences"].append(list(meld))
+        return out
+
+
+class MarriageRuleSet(RuleSet):
+    """21-card Indian Marriage rummy.
+
+    Three decks, 21-card hands and a cut wild joker. A show needs three pure
+    sequences, where a tunnela (three identical cards) counts as one. Value cards
+    pay bonus points: tunnelas, marriages (the cut card's suit one rank below,
+    at and above it) and loose upper or lower jokers. The winner's value points
+    are added to every loser; a loser who holds three pure sequences has their
+    own value points taken off (never below zero).
+    """
+
+    name = "marriage21"
+    title = "21-card Marriage Rummy"
+    hand_size = 21
+    max_players = 6
+    points_cap = 120
+    drop_penalties = {"first": 30, "middle": 70, "full_count": 120}
+    wild_joker_modes = ("close_joker", "open_joker")
+    requires_cut_joker = True
+    bots = False
+    hints = False  # one meld search per card of a 22-card hand takes seconds
+    # Cap on melds tried per search: a wild-heavy 21-card hand can take minutes to
+    # search in full, which auto-organizing several losers at a show can't afford
+    search_steps = 1_000_000
+    min_pure_sequences = 3
+    min_sequences = 3
+    value_points = {"tunnela": 5, "marriage": 10, "upper_joker": 2, "lower_joker": 2}
+
+    def default_decks(self, max_players: int) -> int:
+        return 3
+
+    def classify_meld(self, cards: List[dict], wild_joker_rank: Optional[str], revealed: bool = True) -> Tuple[Optional[str], str]:
+        return classify_meld(cards, wild_joker_rank, revealed, tunnelas=True)
+
+    def validate_declaration(
+        self, hand: List[dict], groups: List[List[dict]], wild_joker_rank: Optional[str], revealed: bool = True
+    ) -> dict:
+        return validate_declaration(
+            hand, groups, wild_joker_rank, revealed, self.hand_size,
+            min_pure_sequences=self.min_pure_sequences, min_sequences=self.min_sequences, tunnelas=True,
+        )
+
+    def best_arrangement(
+        self,
+        hand: List[dict],
+        wild_joker_rank: Optional[str],
+        revealed: bool = True,
+        ace_value: int = 10,
+        max_steps: Optional[int] = None,
+    ) -> Tuple[List[List[dict]], List[dict], int]:
+        return find_best_arrangement(
+            hand, wild_joker_rank, revealed, ace_value, self.points_cap,
+            min_pure_sequences=self.min_pure_sequences, min_sequences=self.min_sequences, tunnelas=True,
+            max_steps=self._search_budget(max_steps),
+        )
+
+    def value_cards(self, hand: List[dict], printed_joker: Optional[dict]) -> Dict[str, int]:
+        """Count the value cards in a hand: {'tunnela': n, 'marriage': n, 'upper_joker': n, 'lower_joker': n}.
+
+        Each card counts once, tunnelas first, then marriages, then loose upper/lower jokers.
+        """
+        counts = {kind: 0 for kind in self.value_points}
+        pile: Dict[Tuple[str, str], int] = {}
+        for card in hand:
+            rank, suit = _get_card_attr(card, "rank"), _get_card_attr(card, "suit")
+            if rank in RANK_ORDER and suit:
+                pile[(rank, suit)] = pile.get((rank, suit), 0) + 1
+        for key, n in pile.items():
+            counts["tunnela"] += n // 3
+            pile[key] = n % 3
+
+        suit = _get_card_attr(printed_joker, "suit") if printed_joker else None
+        if suit:
+            # The cut card's neighbours in its suit, wrapping K-A like the deck's rank cycle
+            i = RANK_ORDER.index(_get_card_attr(printed_joker, "rank"))
+            lower = (RANK_ORDER[i - 1], suit)
+            middle = (RANK_ORDER[i], suit)
+            upper = (RANK_ORDER[(i + 1) % len(RANK_ORDER)], suit)
+            marriages = min(pile.get(lower, 0), pile.get(middle, 0), pile.get(upper, 0))
+            counts["marriage"] = marriages
+            counts["lower_joker"] = pile.get(lower, 0) - marriages
+            counts["upper_joker"] = pile.get(upper, 0) - marriages
+        return counts
+
+    def adjust_scores(self, scores, winner, hands, organized_melds, printed_joker):
+        details = {}
+        for uid, cards in hands.items():
+            counts = self.value_cards(cards, printed_joker)
+            points = sum(self.value_points[kind] * n for kind, n in counts.items())
+            melds = organized_melds.get(uid, {})
+            shown = uid == winner or len(melds.get("pure_sequences", [])) + len(melds.get("tunnelas", [])) >= self.min_pure_sequences
+            details[uid] = {"cards": counts, "points": points, "shown": shown}
+
+        adjusted = dict(scores)
+        winner_points = details.get(winner, {}).get("points", 0)
+        for uid in hands:
+            if uid == winner:
+                continue
+            own = details[uid]["points"] if details[uid]["shown"] else 0
+            adjusted[uid] = max(0, adjusted.get(uid, 0) + winner_points - own)
+        return adjusted, details
+
+
+class Rummy500RuleSet(RuleSet):
+    """Rummy 500: melds go on the table during play and score for whoever laid them.
+
+    Seven cards each, one deck up to four players. After drawing, a player may lay
+    down new melds and lay off cards on anyone's table melds. A player may take
+    several cards off the discard pile as long as the deepest one is melded that
+    turn. The round ends when a player runs out of cards; everyone then scores
+    the cards they laid down minus the cards left in hand, and the first total to
+    reach the table's disqualify_score (500) wins the game.
+    """
+
+    name = "rummy500"
+    title = "Rummy 500"
+    hand_size = 7
+    max_players = 6
+    points_cap = 500  # cards left in hand are never capped
+    drop_penalties = {"first": 0, "middle": 0, "full_count": 50}
+    default_disqualify_score = 500
+    wild_joker_modes = ("no_joker",)
+    default_wild_joker_mode = "no_joker"
+    printed_jokers = False
+    ace_values = (15,)
+    default_ace_value = 15
+    drops = False
+    rejoins = False
+    table_melds = True
+    deep_discard_picks = True
+    counts_up = True
+    busts = False
+    require_sequences = False
+    bots = False
+    hints = False  # discards matter less than what goes on the table
+    low_ace_points = 1  # an ace at the bottom of A-2-3 counts 1 instead of 15
+
+    def default_decks(self, max_players: int) -> int:
+        return 1 if max_players <= 4 else 2
+
+    def has_drawn(self, hand: List[dict], turn_drawn: bool) -> bool:
+        return turn_drawn
+
+    def is_joker(self, card: dict, wild_joker_rank: Optional[str], revealed: bool = True) -> bool:
+        return False
+
+    def card_points(self, card: dict, ace_value: int = 15) -> int:
+        return card_points(card, self.default_ace_value)
+
+    def classify_meld(self, cards: List[dict], wild_joker_rank: Optional[str] = None, revealed: bool = False) -> Tuple[Optional[str], str]:
+        kind, reason = classify_meld(cards, None, False)
+        if kind == "sequence":
+            return None, "Runs must be in one suit"
+        return kind, reason
+
+    def deadwood_points(self, cards: List[dict], wild_joker_rank: Optional[str] = None, revealed: bool = False, ace_value: int = 15) -> int:
+        return sum(self.card_points(c) for c in cards)
+
+    def meld_card_points(self, meld: List[dict]) -> List[int]:
+        """Points for each card of a table meld, in order; aces low in A-2-3 runs."""
+        kind, _ = self.classify_meld(meld)
+        low_run = kind == "pure_sequence" and any(_get_card_attr(c, "rank") == "2" for c in meld)
+        return [
+            self.low_ace_points if low_run and _get_card_attr(c, "rank") == "A" else self.card_points(c)
+            for c in meld
+        ]
+
+    def can_lay_off(self, meld: List[dict], cards: List[dict]) -> bool:
+        kind, _ = self.classify_meld(list(meld) + list(cards))
+        return kind is not None
+
+    def check_new_melds(
+        self, groups: List[List[dict]], user_id: str, table_melds: List[dict], contract: Optional[dict] = None
+    ) -> Tuple[List[str], Optional[str]]:
+        """(kind per group, None) when user_id may lay these groups down as new melds, else ([], reason)."""
+        kinds = []
+        for group in groups:
+            kind, reason = self.classify_meld(group)
+            if kind is None:
+                return [], reason
+            kinds.append(kind)
+        return kinds, None
+
+    def check_lay_off(self, user_id: str, table_melds: List[dict]) -> Optional[str]:
+        """Why user_id may not lay off on table melds yet, or None."""
+        return None
+
+    def arrange_meld(self, cards: List[dict], laid_by: List[str]) -> Tuple[List[dict], List[str]]:
+        """Order a table meld for display, keeping who laid each card; runs go low to
+        high with the ace on top in Q-K-A."""
+        ranks = {_get_card_attr(c, "rank") for c in cards}
+        if len(ranks) < len(cards):
+            return cards, laid_by  # a set
+        ace_high = "K" in ranks and "2" not in ranks
+
+        def position(pair):
+            rank = _get_card_attr(pair[0], "rank")
+            return len(RANK_ORDER) if rank == "A" and ace_high else RANK_ORDER.index(rank)
+
+        pairs = sorted(zip(cards, laid_by), key=position)
+        return [c for c, _ in pairs], [uid for _, uid in pairs]
+
+    def round_scores(self, hands: Dict[str, List[dict]], table_melds: List[dict]) -> Dict[str, int]:
+        """Points each player laid on the table minus the cards left in their hand."""
+        scores = {uid: -self.deadwood_points(cards) for uid, cards in hands.items()}
+        for meld in table_melds:
+            for laid_by, points in zip(meld["laid_by"], self.meld_card_points(meld["cards"])):
+                scores[laid_by] = scores.get(laid_by, 0) + points
+        return scores
+
+    def game_winner(self, totals, deals_played, target, schedule=None):
+        if not totals or max(totals.values()) < target:
+            return None
+        return max(totals, key=totals.get)
+
+
+class ContractRuleSet(Rummy500RuleSet):
+    """Contract rummy (Shanghai): every deal has a contract such as two sets or one set and one run.
+
+    It shares Rummy 500's table melds and turn flow. Eleven cards each, printed
+    jokers wild. A player first goes down with exactly the deal's contract in one
+    go (runs are at least four cards), and only then lays off on table melds.
+    When the player in turn passes on the discard by drawing from the stock, any
+    other player may buy it, taking a penalty card from the stock with it, up to
+    buys_per_deal times a deal. Cards left in hand count against you; after the
+    last contract of the schedule the lowest total wins.
+    """
+
+    name = "contract"
+    title = "Contract Rummy (Shanghai)"
+    hand_size = 11
+    max_players = 8
+    points_cap = 1000  # cards left in hand are never capped
+    drop_penalties = {"first": 0, "middle": 0, "full_count": 100}
+    default_disqualify_score = 1000  # unused: the schedule decides when the game ends
+    printed_jokers = True
+    ace_values = (15,)
+    default_ace_value = 15
+    deep_discard_picks = False
+    counts_up = False
+    contracts = True
+    buys_per_deal = 3
+    run_length = 4
+    joker_points = 50
+    default_schedule = (
+        {"sets": 2, "runs": 0},
+        {"sets": 1, "runs": 1},
+        {"sets": 0, "runs": 2},
+        {"sets": 3, "runs": 0},
+        {"sets": 2, "runs": 1},
+        {"sets": 1, "runs": 2},
+        {"sets": 0, "runs": 3},
+    )
+    max_schedule_deals = 10
+
+    def default_decks(self, max_players: int) -> int:
+        return 2 if max_players <= 5 else 3
+
+    def is_joker(self, card: dict, wild_joker_rank: Optional[str] = None, revealed: bool = True) -> bool:
+        return _is_joker_card(card, None)
+
+    def card_points(self, card: dict, ace_value: int = 15) -> int:
+        rank = _get_card_attr(card, "rank")
+        if self.is_joker(card):
+            return self.joker_points
+        if rank == "A":
+            return self.default_ace_value
+        return 10 if rank in ("10", "J", "Q", "K") else 5
+
+    def classify_meld(self, cards: List[dict], wild_joker_rank: Optional[str] = None, revealed: bool = False) -> Tuple[Optional[str], str]:
+        kind = validate_contract([cards], {"sets": 0, "runs": 0}, None, True, self.run_length)["kinds"][0]
+        if kind is None:
+            return None, f"Not a set or a run of {self.run_length}+ cards"
+        return kind, kind.capitalize()
+
+    def arrange_meld(self, cards: List[dict], laid_by: List[str]) -> Tuple[List[dict], List[str]]:
+        if any(self.is_joker(c) for c in cards):
+            return cards, laid_by  # a joker keeps the place it was laid in
+        return super().arrange_meld(cards, laid_by)
+
+    def round_scores(self, hands: Dict[str, List[dict]], table_melds: List[dict]) -> Dict[str, int]:
+        """Cards left in hand count against their holder; melds on the table score nothing."""
+        return {uid: self.deadwood_points(cards) for uid, cards in hands.items()}
+
+    def contract_for(self, schedule: Optional[list], round_number: int) -> dict:
+        schedule = schedule or self.default_schedule
+        return schedule[(round_number - 1) % len(schedule)]
+
+    def check_schedule(self, schedule: List[dict]) -> Optional[str]:
+        """Why a table's contract schedule can't be played, or None."""
+        if not 1 <= len(schedule) <= self.max_schedule_deals:
+            return f"A contract schedule has 1-{self.max_schedule_deals} deals"
+        for contract in schedule:
+            sets, runs = contract.get("sets", 0), contract.get("runs", 0)
+            if sets < 0 or runs < 0 or sets + runs == 0:
+                return "Every contract needs at least one set or run"
+            if 3 * sets + self.run_length * runs > self.hand_size + 1:
+                return f"{contract_text(contract)} needs more cards than a hand of {self.hand_size} holds"
+        return None
+
+    def check_new_melds(self, groups, user_id, table_melds, contract=None):
+        if any(m["owner"] == user_id for m in table_melds):
+            return [], "You have already gone down this deal; lay off on the table melds instead"
+        verdict = validate_contract(groups, contract or self.default_schedule[0], None, True, self.run_length)
+        if not verdict["valid"]:
+            return [], verdict["reason"]
+        return verdict["kinds"], None
+
+    def check_lay_off(self, user_id: str, table_melds: List[dict]) -> Optional[str]:
+        if not any(m["owner"] == user_id for m in table_melds):
+            return "Go down with this deal's contract before laying off"
+        return None
+
+    def game_winner(self, totals, deals_played, target, schedule=None):
+        if not totals or deals_played < len(schedule or self.default_schedule):
+            return None
+        return min(totals, key=totals.get)
+
+
+DEFAULT_RULESET = "indian"
+
+RULESETS: Dict[str, RuleSet] = {rules.name: rules for rules in (RuleSet(), GinRuleSet(), MarriageRuleSet(), Rummy500RuleSet(), ContractRuleSet())}
+
+
+def get_ruleset(name: Optional[str]) -> RuleSet:
+    """The ruleset a table stores by name; tables from before rulesets play Indian rules."""
+    return RULESETS.get(name or DEFAULT_RULESET, RULESETS[DEFAULT_RULESET])
@@ -0,0 +1,148 @@
+# Computer opponents for rummy tables
+# Pure decision helpers: given a bot's hand and the table state they choose what to
+# draw, what to discard, which sequence to lock and when to declare.
+# The game API performs the actual moves through the normal turn endpoints.
+from __future__ import annotations
+import random
+from typing import List, Optional
+
+from app.libs.scoring import (
+    card_points,
+    find_best_arrangement,
+    is_pure_sequence,
+    classify_meld,
+    same_card,
+    validate_hand,
+    without_card,
+    _is_joker_card,
+)
+
+BOT_LEVELS = ("easy", "medium", "hard")
+
+BOT_NAMES = {
+    "easy": "Rookie Bot",
+    "medium": "Club Bot",
+    "hard": "Shark Bot",
+}
+
+# Look-ahead only weighs throwing this many cards (the highest loose ones), so a
+# decision costs a handful of meld searches rather than one per card in hand
+LOOKAHEAD_CARDS = 5
+# Each of those searches stops trying melds after this many (see
+# scoring.find_best_arrangement), which bounds a bot's move on wild-heavy hands
+SEARCH_STEPS = 100_000
+
+
+def _best_points(hand: List[dict], wild_joker_rank: Optional[str], revealed: bool, ace_value: int) -> int:
+    return find_best_arrangement(hand, wild_joker_rank, revealed, ace_value, max_steps=SEARCH_STEPS)[2]
+
+
+def _lookahead_cards(
+    hand: List[dict], wild_joker_rank: Optional[str], revealed: bool, ace_value: int, candidates: List[dict]
+) -> List[dict]:
+    """The candidates worth a look-ahead: loose cards of the hand's best arrangement,
+    highest first, capped at LOOKAHEAD_CARDS."""
+    _, leftover, _ = find_best_arrangement(hand, wild_joker_rank, revealed, ace_value, max_steps=SEARCH_STEPS)
+    loose = [c for c in candidates if any(same_card(c, d) for d in leftover)] or candidates
+    return sorted(loose, key=lambda c: -card_points(c, ace_value))[:LOOKAHEAD_CARDS]
+
+
+def _best_discard_points(hand: List[dict], wild_joker_rank: Optional[str], revealed: bool, ace_value: int) -> int:
+    """Lowest deadwood reachable from a 14-card hand by discarding one of its likeliest throws."""
+    return min(
+        _best_points(without_card(hand, c), wild_joker_rank, revealed, ace_value)
+        for c in _lookahead_cards(hand, wild_joker_rank, revealed, ace_value, hand)
+    )
+
+
+def choose_draw_source(
+    hand: List[dict],
+    discard_top: Optional[dict],
+    level: str,
+    wild_joker_rank: Optional[str] = None,
+    revealed: bool = False,
+    ace_value: int = 10,
+) -> str:
+    """Pick 'stock' or 'discard' for a 13-card hand."""
+    if not discard_top or level == "easy":
+        return "stock"
+    if _is_joker_card(discard_top, wild_joker_rank, revealed):
+        return "discard"
+
+    current = _best_points(hand, wild_joker_rank, revealed, ace_value)
+    with_top = _best_discard_points(hand + [discard_top], wild_joker_rank, revealed, ace_value)
+    # Medium only grabs a card that clearly helps; hard takes any improvement
+    margin = 5 if level == "medium" else 1
+    return "discard" if current - with_top >= margin else "stock"
+
+
+def choose_discard(
+    hand: List[dict],
+    level: str,
+    wild_joker_rank: Optional[str] = None,
+    revealed: bool = False,
+    ace_value: int = 10,
+    keep: Optional[dict] = None,
+) -> dict:
+    """Pick the card to throw from a 14-card hand.
+
+    keep is the card just taken from the discard pile, which is never thrown back.
+    """
+    def usable(c: dict) -> bool:
+        if keep is not None and same_card(c, keep):
+            return False
+        return not _is_joker_card(c, wild_joker_rank, revealed)
+
+    candidates = [c for c in hand if usable(c)] or list(hand)
+
+    if level == "hard":
+        # Look-ahead: throw whatever leaves the least deadwood, highest card on ties
+        return min(
+            _lookahead_cards(hand, wild_joker_rank, revealed, ace_value, candidates),
+            key=lambda c: (
+                _best_points(without_card(hand, c), wild_joker_rank, revealed, ace_value),
+                -card_points(c, ace_value),
+            ),
+        )
+
+    _, leftover, _ = find_best_arrangement(hand, wild_joker_rank, revealed, ace_value, max_steps=SEARCH_STEPS)
+    loose = [c for c in leftover if usable(c)] or candidates
+    if level == "easy":
+        return random.choice(loose)
+    return max(loose, key=lambda c: card_points(c, ace_value))
+
+
+def find_lockable_sequence(hand: List[dict], wild_joker_rank: Optional[str]) -> Optional[List[dict]]:
+    """A pure sequence the bot can lock to reveal the wild joker, if it holds one."""
+    melds, _, _ = find_best_arrangement(hand, wild_joker_rank, False, max_steps=SEARCH_STEPS)
+    for meld in melds:
+        if is_pure_sequence(meld, wild_joker_rank, False):
+            return meld
+    return None
+
+
+def plan_declaration(
+    hand: List[dict],
+    wild_joker_rank: Optional[str] = None,
+    revealed: bool = False,
+) -> Optional[List[List[dict]]]:
+    """Groups for a winning show from 13 cards, or None if the hand can't declare yet.
+
+    Zero deadwood can still leave loose jokers, which must be tucked into a meld.
+    """
+    melds, leftover, points = find_best_arrangement(hand, wild_joker_rank, revealed, max_steps=SEARCH_STEPS)
+    if points > 0 or not melds:
+        return None
+    groups = [list(m) for m in melds]
+    # Try impure melds first so a pure sequence stays pure
+    order = sorted(groups, key=lambda g: is_pure_sequence(g, wild_joker_rank, revealed))
+    for card in leftover:
+        for group in order:
+            kind, _ = classify_meld(group + [card], wild_joker_rank, revealed)
+            if kind is not None:
+                group.append(card)
+                break
+        else:
+            return None
+    valid, _ = validate_hand(groups, [], wild_joker_rank, revealed)
+    return groups if valid else None
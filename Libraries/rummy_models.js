@@ -3,7 +3,9 @@
 from __future__ import annotations
 from pydantic import BaseModel, Field
 from typing import List, Literal, Optional, Dict, Tuple
-import random
+import hashlib
+import hmac
+import secrets
 
 Rank = Literal["A","2","3","4","5","6","7","8","9","10","J","Q","K", "JOKER"]
 Suit = Literal["S","H","D","C"]
@@ -21,6 +23,7 @@ class Card(BaseModel):
 class DeckConfig(BaseModel):
     decks: int = 2  # standard: 2 decks for up to 6 players
     include_printed_jokers: bool = True
+    jokers_per_deck: int = 2  # printed jokers added per deck when include_printed_jokers
 
 RANKS: List[Rank] = ["A","2","3","4","5","6","7","8","9","10","J","Q","K"]
 SUITS: List[Suit] = ["S","H","D","C"]
@@ -40,32 +43,145 @@ def build_deck(cfg: DeckConfig) -> List[Card]:
                 cards.append(Card(rank=r, suit=s, joker=False))
         if cfg.include_printed_jokers:
             # Two printed jokers per deck typical
-            cards.append(Card(rank="JOKER", suit=None, joker=True))
-            cards.append(Card(rank="JOKER", suit=None, joker=True))
+            for _ in range(cfg.jokers_per_deck):
+                cards.append(Card(rank="JOKER", suit=None, joker=True))
     return cards
 
 
-def fair_shuffle(cards: List[Card], seed: Optional[int] = None) -> ShuffledDeck:
-    rnd = random.Random(seed)
-    # Use Fisher-Yates via random.shuffle
+HAND_SIZE = 13
+MIN_STOCK_CARDS = 20  # cards left in the stock after the deal for a workable game
+
+
+def default_decks(max_players: int) -> int:
+    """Decks for a table size: two up to six players, three beyond."""
+    return 2 if max_players <= 6 else 3
+
+
+def deck_size(cfg: DeckConfig) -> int:
+    jokers = cfg.jokers_per_deck if cfg.include_printed_jokers else 0
+    return cfg.decks * (len(RANKS) * len(SUITS) + jokers)
+
+
+def stock_after_deal(cfg: DeckConfig, players: int, hand_size: int = HAND_SIZE, cut_joker: bool = False) -> int:
+    """Cards left to draw once every hand, the opening discard and any cut card are dealt."""
+    return deck_size(cfg) - players * hand_size - 1 - (1 if cut_joker else 0)
+
+
+# -------- Provably fair randomness --------
+# Every deal is driven by a secret server seed whose SHA-256 commitment is published
+# before the deal, mixed with a client seed and the round number. The server seed is
+# revealed once the round is over so anyone can rebuild the deal and check it.
+
+def new_server_seed() -> str:
+    return secrets.token_hex(32)
+
+
+def seed_commitment(server_seed: str) -> str:
+    return hashlib.sha256(server_seed.encode()).hexdigest()
+
+
+class SeededStream:
+    """Deterministic CSPRNG: HMAC-SHA256(server_seed, "client_seed:nonce:label:counter") blocks."""
+
+    def __init__(self, server_seed: str, client_seed: str = "", nonce: int = 0, label: str = "deal"):
+        self._key = server_seed.encode()
+        self._prefix = f"{client_seed}:{nonce}:{label}:"
+        self._counter = 0
+        self._buffer = b""
+
+    def _bytes(self, n: int) -> bytes:
+        while len(self._buffer) < n:
+            msg = (self._prefix + str(self._counter)).encode()
+            self._buffer += hmac.new(self._key, msg, hashlib.sha256).digest()
+            self._counter += 1
+        out, self._buffer = self._buffer[:n], self._buffer[n:]
+        return out
+
+    def randbelow(self, n: int) -> int:
+        """Uniform int in [0, n), rejection-sampled so there is no modulo bias."""
+        limit = (1 << 64) - ((1 << 64) % n)
+        while True:
+            value = int.from_bytes(self._bytes(8), "big")
+            if value < limit:
+                return value % n
+
+    def shuffle(self, items: list) -> None:
+        # Fisher-Yates, back to front
+        for i in range(len(items) - 1, 0, -1):
+            j = self.randbelow(i + 1)
+            items[i], items[j] = items[j], items[i]
+
+    def choice(self, items: list):
+        return items[self.randbelow(len(items))]
+
+
+def fair_shuffle(cards: List[Card], server_seed: Optional[str] = None, client_seed: str = "", nonce: int = 0) -> ShuffledDeck:
     cards_copy = list(cards)
-    rnd.shuffle(cards_copy)
+    if server_seed is None:
+        secrets.SystemRandom().shuffle(cards_copy)
+    else:
+        SeededStream(server_seed, client_seed, nonce, "deal").shuffle(cards_copy)
     return ShuffledDeck(cards=cards_copy)
 
 
+def pick_wild_joker_rank(server_seed: str, client_seed: str = "", nonce: int = 0) -> str:
+    """Wild joker rank for a round, derived from the same seeds as the deal."""
+    return SeededStream(server_seed, client_seed, nonce, "wild").choice(RANKS)
+
+
+def cut_wild_joker_rank(card: Card) -> str:
+    """Wild rank named by the cut card; cutting a printed joker makes aces wild."""
+    return "A" if card.rank == "JOKER" else card.rank
+
+
+def reshuffle_discard(
+    discard: List[dict],
+    server_seed: Optional[str] = None,
+    client_seed: str = "",
+    nonce: int = 0,
+    index: int = 1,
+) -> Tuple[List[dict], List[dict]]:
+    """Turn the discard pile into a new stock when the stock runs out.
+
+    The top discard stays face-up; everything under it is shuffled into the stock.
+    index numbers the reshuffles within a round so each one gets its own stream.
+    Returns (new_stock, new_discard).
+    """
+    if len(discard) < 2:
+        return [], list(discard)
+    new_stock = list(discard[:-1])
+    if server_seed is None:
+        secrets.SystemRandom().shuffle(new_stock)
+    else:
+        SeededStream(server_seed, client_seed, nonce, f"reshuffle:{index}").shuffle(new_stock)
+    return new_stock, [discard[-1]]
+
+
 class DealResult(BaseModel):
-    hands: Dict[str, List[Card]]  # user_id -> 13 cards
+    hands: Dict[str, List[Card]]  # user_id -> dealt hand
     stock: List[Card]
     discard: List[Card]
     printed_joker: Optional[Card]
 
 
-def deal_initial(user_ids: List[str], cfg: DeckConfig, seed: Optional[int] = None) -> DealResult:
-    deck = fair_shuffle(build_deck(cfg), seed)
-    # Flip printed joker from stock top (non-player)
+def deal_initial(
+    user_ids: List[str],
+    cfg: DeckConfig,
+    server_seed: Optional[str] = None,
+    client_seed: str = "",
+    nonce: int = 0,
+    cut_joker: bool = False,
+    hand_size: int = HAND_SIZE,
+) -> DealResult:
+    """Shuffle and deal hand_size cards each plus the opening discard.
+
+    With cut_joker one card is cut from the deck after the deal and kept face-up
+    under the stock as printed_joker; it is out of play and its rank is wild.
+    """
+    deck = fair_shuffle(build_deck(cfg), server_seed, client_seed, nonce)
     printed_joker: Optional[Card] = None
 
-    # Deal 13 to each player, round-robin
+    # Deal hand_size to each player, round-robin
     hands: Dict[str, List[Card]] = {u: [] for u in user_ids}
     # Pre-draw a printed joker to reveal if present (optional rule)
     # We'll reveal the first printed joker encountered when drawing discard initial card
@@ -73,11 +189,15 @@ def deal_initial(user_ids: List[str], cfg: DeckConfig, seed: Optional[int] = Non
     # Draw initial discard card
     discard: List[Card] = []
 
-    # Distribute 13 cards
-    for i in range(13):
+    # Distribute the hands
+    for i in range(hand_size):
         for u in user_ids:
             hands[u].append(deck.draw())
 
+    if cut_joker:
+        # Traditionally it lies face-up under the stock; here it leaves the deck entirely
+        printed_joker = deck.cards.pop(0)
+
     # Reveal top card to discard; if joker, keep discarding until a non-joker to start
     while True:
         if not deck.cards:
@@ -105,3 +225,4 @@ class StartRoundResponse(BaseModel):
     active_user_id: str
     stock_count: int
     discard_top: Optional[str]
+    seed_commitment: Optional[str] = None
@@ -6,6 +6,7 @@
 # Points: Face cards (J,Q,K,A)=10, 2-10 face value, jokers=0. Cap per hand: 80.
 from __future__ import annotations
 from typing import List, Dict, Tuple, Optional, Union
+from itertools import combinations
 
 # Card dict shape: {rank: str, suit: str | None, joker: bool}
 # Can also be Pydantic models with rank, suit, joker attributes
@@ -104,7 +105,11 @@ def is_sequence(
     
     # Get rank indices for non-joker cards
     rank_indices = sorted([RANK_ORDER.index(_get_card_attr(c, "rank")) for c in non_jokers])
-    
+
+    # A sequence can never hold the same rank twice (e.g. K-A-A from two decks)
+    if len(set(rank_indices)) != len(rank_indices):
+        return False
+
     # Check for normal consecutive sequence
     first_idx = rank_indices[0]
     last_idx = rank_indices[-1]
@@ -217,12 +222,20 @@ def is_set(
     return True
 
 
+def is_tunnela(cards: list[dict | tuple]) -> bool:
+    """Three identical cards (same rank and suit), which only a three-deck game can hold."""
+    if len(cards) != 3:
+        return False
+    keys = {(_get_card_attr(c, "rank"), _get_card_attr(c, "suit")) for c in cards}
+    return len(keys) == 1 and next(iter(keys))[0] in RANK_ORDER
+
+
 def validate_hand(
     melds: list[list[dict | tuple]], 
     leftover: list[dict | tuple],
     wild_joker_rank: str | None = None,
     has_wild_joker_revealed: bool = True
-) -> dict:
+) -> tuple[bool, str]:
     """Validate a complete 13-card hand declaration."""
     # After drawing, player has 14 cards. They organize 13 into melds and discard the 14th.
     # So we don't check hand length, only that melds contain exactly 13 cards.
@@ -262,17 +275,209 @@ def validate_hand(
     if not has_pure_sequence:
         return False, "Must have at least one pure sequence (no jokers)"
     
-    if len(melds) < 2:
-        return False, "Must have at least 2 melds"
+    if valid_sequences < 2:
+        return False, "Must have at least 2 sequences (1 pure + 1 other)"
     
     return True, "Valid hand"
 
 
+def card_code(card: Union[dict, object]) -> str:
+    """Short display code for a card, e.g. '10H' or 'JOKER'."""
+    rank = _get_card_attr(card, "rank")
+    if rank == "JOKER":
+        return "JOKER"
+    return f"{rank}{_get_card_attr(card, 'suit') or ''}"
+
+
+def same_card(a: Union[dict, object], b: Union[dict, object]) -> bool:
+    """Whether two cards are interchangeable in a hand: same rank and suit.
+
+    Copies from different decks count as the same card.
+    """
+    return _get_card_attr(a, "rank") == _get_card_attr(b, "rank") and (
+        (_get_card_attr(a, "suit") or None) == (_get_card_attr(b, "suit") or None)
+    )
+
+
+def without_card(hand: list, card: Union[dict, object]) -> list:
+    """Copy of hand with one copy of card removed (unchanged if it isn't there)."""
+    rest = list(hand)
+    for i, c in enumerate(rest):
+        if same_card(c, card):
+            rest.pop(i)
+            break
+    return rest
+
+
+def classify_meld(
+    cards: list[dict | tuple],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    tunnelas: bool = False
+) -> tuple[str | None, str]:
+    """Classify a single meld group.
+
+    Returns:
+        (kind, reason) where kind is 'pure_sequence', 'sequence', 'set',
+        'tunnela' (only when tunnelas is on) or None when the group is invalid,
+        and reason explains the verdict.
+    """
+    if len(cards) < 3:
+        return None, f"A meld needs at least 3 cards, found {len(cards)}"
+    if tunnelas and is_tunnela(cards):
+        return "tunnela", "Tunnela"
+    if is_pure_sequence(cards, wild_joker_rank, has_wild_joker_revealed):
+        return "pure_sequence", "Pure sequence"
+    if is_sequence(cards, wild_joker_rank, has_wild_joker_revealed):
+        return "sequence", "Impure sequence (uses jokers)"
+    if is_set(cards, wild_joker_rank, has_wild_joker_revealed):
+        return "set", "Set"
+
+    # Work out why neither check passed so the player gets a useful message
+    naturals = [c for c in cards if not _is_joker_card(c, wild_joker_rank, has_wild_joker_revealed)]
+    if not naturals:
+        return None, "A meld needs at least one natural (non-joker) card"
+    ranks = [_get_card_attr(c, "rank") for c in naturals]
+    suits = [_get_card_attr(c, "suit") for c in naturals]
+    if len(set(ranks)) == 1:
+        if len(cards) > 4:
+            return None, "A set can have at most 4 cards"
+        return None, "A set cannot contain two cards of the same suit"
+    if len(set(suits)) > 1:
+        return None, "Cards are neither the same rank (set) nor the same suit (sequence)"
+    if len(naturals) < 2:
+        return None, "A sequence needs at least two natural cards"
+    if len(set(ranks)) != len(ranks):
+        return None, "A sequence cannot repeat a rank"
+    return None, "Ranks are not consecutive and there are not enough jokers to fill the gaps"
+
+
+def validate_declaration(
+    hand: list[dict | tuple],
+    groups: list[list[dict | tuple]],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    hand_size: int = 13,
+    min_pure_sequences: int = 1,
+    min_sequences: int = 2,
+    tunnelas: bool = False
+) -> dict:
+    """Check declared groups against the declarer's real hand of hand_size + 1 cards.
+
+    The groups must hold exactly hand_size of the hand's cards (the extra one
+    is the closing discard), every group must be a valid meld, and there must
+    be at least min_sequences sequences, min_pure_sequences of them pure.
+    With tunnelas on, a tunnela is a meld that counts as a pure sequence.
+
+    Returns:
+        {
+            'valid': bool,
+            'reason': str,
+            'melds': [{'cards': [...codes], 'kind': str | None, 'valid': bool, 'reason': str}, ...],
+            'discard': card | None   # the hand card left out of the groups
+        }
+    """
+    def key(card) -> tuple:
+        return (_get_card_attr(card, "rank"), _get_card_attr(card, "suit") or None)
+
+    verdicts = []
+    pure_sequences = 0
+    sequences = 0
+    for group in groups:
+        kind, reason = classify_meld(group, wild_joker_rank, has_wild_joker_revealed, tunnelas)
+        if kind in ("pure_sequence", "tunnela"):
+            pure_sequences += 1
+        if kind in ("pure_sequence", "sequence", "tunnela"):
+            sequences += 1
+        verdicts.append({
+            "cards": [card_code(c) for c in group],
+            "kind": kind,
+            "valid": kind is not None,
+            "reason": reason,
+        })
+
+    def result(valid: bool, reason: str, discard=None) -> dict:
+        return {"valid": valid, "reason": reason, "melds": verdicts, "discard": discard}
+
+    # Exact multiset match: every declared card must come out of the hand once
+    remaining = list(hand)
+    for group in groups:
+        for card in group:
+            idx = next((i for i, c in enumerate(remaining) if key(c) == key(card)), None)
+            if idx is None:
+                return result(False, f"{card_code(card)} is not in your hand (or is declared twice)")
+            remaining.pop(idx)
+    if len(hand) != hand_size + 1:
+        return result(False, f"Must have exactly {hand_size + 1} cards to declare, found {len(hand)}")
+    if len(remaining) != 1:
+        return result(False, f"Groups must contain exactly {hand_size} cards, found {len(hand) - len(remaining)}")
+
+    discard = remaining[0]
+    invalid = [v for v in verdicts if not v["valid"]]
+    if invalid:
+        first = invalid[0]
+        return result(False, f"Invalid meld [{', '.join(first['cards'])}]: {first['reason']}", discard)
+    if min_pure_sequences == 1 and min_sequences == 2:
+        if pure_sequences < 1:
+            return result(False, "Must have at least one pure sequence (no jokers)", discard)
+        if sequences < 2:
+            return result(False, "Must have at least 2 sequences (1 pure + 1 other)", discard)
+    elif pure_sequences < min_pure_sequences or sequences < min_sequences:
+        return result(False, f"Must have at least {min_pure_sequences} pure sequences (tunnelas count)", discard)
+    return result(True, "Valid declaration", discard)
+
+
+def contract_text(contract: dict) -> str:
+    """'2 sets', '1 set + 1 run' ..."""
+    parts = []
+    for kind in ("sets", "runs"):
+        n = contract.get(kind, 0)
+        if n:
+            parts.append(f"{n} {kind if n > 1 else kind[:-1]}")
+    return " + ".join(parts)
+
+
+def validate_contract(
+    groups: list[list[dict | tuple]],
+    contract: dict,
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    run_length: int = 4
+) -> dict:
+    """Check the melds a contract rummy player goes down with against the deal's contract.
+
+    contract is {'sets': n, 'runs': m}: the groups must be exactly n sets and m
+    runs (sequences of at least run_length cards), jokers allowed in both.
+
+    Returns:
+        {'valid': bool, 'reason': str, 'kinds': ['set' | 'run' | None, ...]}
+    """
+    kinds = []
+    for group in groups:
+        if is_set(group, wild_joker_rank, has_wild_joker_revealed):
+            kinds.append("set")
+        elif len(group) >= run_length and is_sequence(group, wild_joker_rank, has_wild_joker_revealed):
+            kinds.append("run")
+        else:
+            kinds.append(None)
+
+    def result(valid: bool, reason: str) -> dict:
+        return {"valid": valid, "reason": reason, "kinds": kinds}
+
+    for group, kind in zip(groups, kinds):
+        if kind is None:
+            return result(False, f"[{', '.join(card_code(c) for c in group)}] is neither a set nor a run of {run_length}+ cards")
+    if kinds.count("set") != contract.get("sets", 0) or kinds.count("run") != contract.get("runs", 0):
+        return result(False, f"This deal's contract is {contract_text(contract)}")
+    return result(True, "Contract met")
+
+
 def calculate_deadwood_points(
     cards: list[dict | tuple],
     wild_joker_rank: str | None = None,
     has_wild_joker_revealed: bool = True,
-    ace_value: int = 10
+    ace_value: int = 10,
+    cap: int = 80
 ) -> int:
     """Calculate points for ungrouped/invalid cards.
     
@@ -281,6 +486,7 @@ def calculate_deadwood_points(
         wild_joker_rank: The rank that acts as wild joker
         has_wild_joker_revealed: Whether wild joker is revealed
         ace_value: Point value for Aces (1 or 10)
+        cap: Most a hand can score
     """
     total = 0
     for card in cards:
@@ -288,92 +494,209 @@ def calculate_deadwood_points(
             total += 0  # Jokers are worth 0
         else:
             total += card_points(card, ace_value)
-    return min(total, 80)
+    return min(total, cap)
+
+
+def _meld_candidates(
+    hand: list[dict | tuple],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    ace_high: bool = True,
+    tunnelas: bool = False
+) -> list[tuple[int, str]]:
+    """Enumerate every valid meld in a hand as (bitmask of card indices, kind).
+
+    kind is 'pure_sequence', 'sequence' or 'set'. Candidates are built per suit
+    (runs, Ace low or also high when ace_high) and per rank (sets), then confirmed
+    with the same is_sequence / is_pure_sequence / is_set checks used for declarations.
+    """
+    jokers = [i for i, c in enumerate(hand) if _is_joker_card(c, wild_joker_rank, has_wild_joker_revealed)]
+    naturals: dict[tuple[str, str], list[int]] = {}
+    for i, c in enumerate(hand):
+        rank = _get_card_attr(c, "rank")
+        suit = _get_card_attr(c, "suit")
+        if rank in RANK_ORDER and suit:
+            naturals.setdefault((rank, suit), []).append(i)
+
+    raw: set[int] = set()
+
+    # Sequences: positions 0..13 where 0 is Ace-low and 13 is Ace-high
+    positions = RANK_ORDER + (["A"] if ace_high else [])
+    suits = {suit for (_, suit) in naturals}
+    for suit in suits:
+        for start in range(len(positions) - 2):
+            partials = [(0, -1)]  # (mask, position in jokers of the last joker used)
+            for pos in range(start, len(positions)):
+                extended = []
+                for mask, last in partials:
+                    for i in naturals.get((positions[pos], suit), []):
+                        if not mask & (1 << i):
+                            extended.append((mask | (1 << i), last))
+                    # Take jokers in index order so each joker combination is built once
+                    for j in range(last + 1, len(jokers)):
+                        if not mask & (1 << jokers[j]):
+                            extended.append((mask | (1 << jokers[j]), j))
+                partials = list(set(extended))
+                if not partials:
+                    break
+                if pos - start + 1 >= 3:
+                    raw.update(mask for mask, _ in partials)
+
+    # Sets: one card per suit of a rank, topped up with jokers to 3 or 4 cards
+    by_rank: dict[str, dict[str, list[int]]] = {}
+    for (rank, suit), idxs in naturals.items():
+        by_rank.setdefault(rank, {})[suit] = idxs
+    for rank, by_suit in by_rank.items():
+        partials = [0]
+        for idxs in by_suit.values():
+            partials += [mask | (1 << i) for mask in partials for i in idxs]
+        for mask in set(partials):
+            size = bin(mask).count("1")
+            if size == 0 or size > 4:
+                continue
+            for extra in range(0, min(4 - size, len(jokers)) + 1):
+                if size + extra < 3:
+                    continue
+                for combo in combinations(jokers, extra):
+                    if not any(mask & (1 << j) for j in combo):
+                        raw.add(mask | sum(1 << j for j in combo))
+
+    candidates = []
+    for mask in raw:
+        group = [hand[i] for i in range(len(hand)) if mask & (1 << i)]
+        if is_pure_sequence(group, wild_joker_rank, has_wild_joker_revealed):
+            candidates.append((mask, "pure_sequence"))
+        elif is_sequence(group, wild_joker_rank, has_wild_joker_revealed):
+            candidates.append((mask, "sequence"))
+        elif is_set(group, wild_joker_rank, has_wild_joker_revealed):
+            candidates.append((mask, "set"))
+    if tunnelas:
+        for idxs in naturals.values():
+            for combo in combinations(idxs, 3):
+                candidates.append((sum(1 << i for i in combo), "tunnela"))
+    return candidates
+
+
+def find_best_arrangement(
+    hand: list[dict | tuple],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    ace_value: int = 10,
+    cap: int = 80,
+    require_sequences: bool = True,
+    ace_high: bool = True,
+    min_pure_sequences: int = 1,
+    min_sequences: int = 2,
+    tunnelas: bool = False,
+    max_steps: int | None = None
+) -> tuple[list[list[dict | tuple]], list[dict | tuple], int]:
+    """Search all meld partitions of a hand for the one with the least deadwood.
+
+    Melds only protect cards under the usual declaration rules:
+    - no pure sequence: every card counts
+    - a pure sequence but fewer than two sequences: only pure sequences are protected
+    - a pure sequence plus a second sequence: every valid meld is protected
+    With require_sequences=False (Gin) every valid meld protects its cards.
+    ace_high=False keeps Aces low, so Q-K-A runs are not melds.
+    min_pure_sequences / min_sequences raise the bar for "every valid meld"
+    (21-card rummy needs three pure sequences); tunnelas count as pure ones.
+    max_steps bounds the work on big hands: once that many melds have been tried,
+    the remaining cards are only left as deadwood, so the answer may score higher
+    than the true best but is always a real arrangement.
+
+    Returns:
+        (melds, deadwood_cards, points) where points is capped at cap
+    """
+    n = len(hand)
+    if n == 0:
+        return [], [], 0
+
+    card_pts = [
+        0 if _is_joker_card(c, wild_joker_rank, has_wild_joker_revealed) else card_points(c, ace_value)
+        for c in hand
+    ]
+    candidates = _meld_candidates(hand, wild_joker_rank, has_wild_joker_revealed, ace_high, tunnelas)
+    by_lowest: dict[int, list[tuple[int, str]]] = {}
+    for mask, kind in candidates:
+        lowest = (mask & -mask).bit_length() - 1
+        by_lowest.setdefault(lowest, []).append((mask, kind))
+
+    INF = float("inf")
+
+    def solve(allowed: set[str], need_full: bool) -> tuple[float, list[tuple[int, str]]]:
+        memo: dict[tuple[int, bool, int], tuple[float, list[tuple[int, str]]]] = {}
+        steps = [0]
+
+        def best(mask: int, pure: int, seqs: int) -> tuple[float, list[tuple[int, str]]]:
+            if mask == 0:
+                if need_full and not (pure >= min_pure_sequences and seqs >= min_sequences):
+                    return INF, []
+                return 0, []
+            key = (mask, pure, seqs)
+            if key in memo:
+                return memo[key]
+            # Every arrangement must decide the lowest remaining card. Melds are
+            # tried before leaving it as deadwood so a budgeted search spends its
+            # steps on the arrangements most likely to be good.
+            i = (mask & -mask).bit_length() - 1
+            result = (INF, [])
+            for meld_mask, kind in by_lowest.get(i, []):
+                steps[0] += 1
+                if max_steps is not None and steps[0] > max_steps:
+                    break
+                if kind not in allowed or meld_mask & mask != meld_mask:
+                    continue
+                rest, chosen = best(
+                    mask & ~meld_mask,
+                    min(min_pure_sequences, pure + (kind in ("pure_sequence", "tunnela"))),
+                    min(min_sequences, seqs + (kind != "set")),
+                )
+                if rest < result[0]:
+                    result = (rest, [(meld_mask, kind)] + chosen)
+            rest, chosen = best(mask & ~(1 << i), pure, seqs)
+            if rest + card_pts[i] <= result[0]:
+                result = (rest + card_pts[i], chosen)
+            memo[key] = result
+            return result
+
+        return best((1 << n) - 1, 0, 0)
+
+    if require_sequences:
+        options = [
+            solve({"pure_sequence", "sequence", "set", "tunnela"}, need_full=True),
+            solve({"pure_sequence", "tunnela"}, need_full=False),
+        ]
+        points, chosen = min(options, key=lambda o: o[0])
+        if not any(kind in ("pure_sequence", "tunnela") for _, kind in chosen):
+            chosen = []
+            points = sum(card_pts)
+    else:
+        points, chosen = solve({"pure_sequence", "sequence", "set"}, need_full=False)
+
+    used = 0
+    melds = []
+    for meld_mask, _ in chosen:
+        used |= meld_mask
+        melds.append([hand[i] for i in range(n) if meld_mask & (1 << i)])
+    leftover = [hand[i] for i in range(n) if not used & (1 << i)]
+    return melds, leftover, min(int(points), cap)
 
 
 def auto_organize_hand(
     hand: list[dict | tuple],
     wild_joker_rank: str | None = None,
-    has_wild_joker_revealed: bool = True
+    has_wild_joker_revealed: bool = True,
+    ace_value: int = 10
 ) -> tuple[list[list[dict | tuple]], list[dict | tuple]]:
     """
     Automatically organize a hand into best possible melds and leftover cards.
     Used for scoring opponents when someone declares.
     
     Returns:
-        (melds, leftover_cards)
+        (melds, leftover_cards) - leftover includes every card that still counts
     """
-    if not hand or len(hand) == 0:
-        return [], []
-    
-    remaining = list(hand)
-    melds = []
-    
-    # Helper to try forming sequences
-    def try_form_sequence(cards_pool: list) -> list | None:
-        """Try to find a valid sequence from cards pool."""
-        for i in range(len(cards_pool)):
-            for j in range(i + 1, len(cards_pool)):
-                for k in range(j + 1, len(cards_pool)):
-                    group = [cards_pool[i], cards_pool[j], cards_pool[k]]
-                    if is_sequence(group, wild_joker_rank, has_wild_joker_revealed):
-                        # Try to extend to 4 cards
-                        for m in range(len(cards_pool)):
-                            if m not in [i, j, k]:
-                                extended = group + [cards_pool[m]]
-                                if is_sequence(extended, wild_joker_rank, has_wild_joker_revealed):
-                                    return extended
-                        return group
-        return None
-    
-    # Helper to try forming sets
-    def try_form_set(cards_pool: list) -> list | None:
-        """Try to find a valid set from cards pool."""
-        for i in range(len(cards_pool)):
-            for j in range(i + 1, len(cards_pool)):
-                for k in range(j + 1, len(cards_pool)):
-                    group = [cards_pool[i], cards_pool[j], cards_pool[k]]
-                    if is_set(group, wild_joker_rank, has_wild_joker_revealed):
-                        # Try to extend to 4 cards
-                        for m in range(len(cards_pool)):
-                            if m not in [i, j, k]:
-                                extended = group + [cards_pool[m]]
-                                if is_set(extended, wild_joker_rank, has_wild_joker_revealed):
-                                    return extended
-                        return group
-        return None
-    
-    # First pass: try to form pure sequences (highest priority)
-    while True:
-        seq = try_form_sequence(remaining)
-        if seq and is_pure_sequence(seq, wild_joker_rank, has_wild_joker_revealed):
-            melds.append(seq)
-            for card in seq:
-                remaining.remove(card)
-        else:
-            break
-    
-    # Second pass: form any sequences
-    while True:
-        seq = try_form_sequence(remaining)
-        if seq:
-            melds.append(seq)
-            for card in seq:
-                remaining.remove(card)
-        else:
-            break
-    
-    # Third pass: form sets
-    while True:
-        set_group = try_form_set(remaining)
-        if set_group:
-            melds.append(set_group)
-            for card in set_group:
-                remaining.remove(card)
-        else:
-            break
-    
-    return melds, remaining
+    melds, leftover, _ = find_best_arrangement(hand, wild_joker_rank, has_wild_joker_revealed, ace_value)
+    return melds, leftover
 
 
 def organize_hand_by_melds(hand: List[Union[dict, object]]) -> Dict[str, List[List[Union[dict, object]]]]:
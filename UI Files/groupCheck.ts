@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+import { apiClient } from 'app';
+import type { CardView, CheckGroupsResponse, MeldVerdict } from '../apiclient/data-contracts';
+
+const CHECK_DELAY_MS = 250;
+
+/**
+ * Live verdicts for groups of cards from the caller's hand (/declare/check).
+ * Checks again shortly after the groups stop changing. Returns null while there
+ * are no groups or before the first answer.
+ */
+export const useGroupCheck = (tableId: string, groups: CardView[][]): CheckGroupsResponse | null => {
+  const [result, setResult] = useState<CheckGroupsResponse | null>(null);
+  const key = JSON.stringify(groups.map((group) => group.map((card) => card.code)));
+
+  useEffect(() => {
+    if (!tableId || groups.length === 0) {
+      setResult(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiClient.check_groups({
+          table_id: tableId,
+          groups: groups.map((group) => group.map(({ rank, suit, joker }) => ({ rank, suit, joker }))),
+        });
+        if (response.ok && !cancelled) setResult(await response.json());
+      } catch (error) {
+        console.error('Failed to check groups:', error);
+      }
+    }, CHECK_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [tableId, key]);
+
+  return result;
+};
+
+/** Ring colour for a group: pure sequence, impure sequence or run, set, tunnela, or not counting. */
+export const verdictRing = (verdict?: MeldVerdict | null): string => {
+  if (!verdict) return '';
+  if (!verdict.valid) return 'ring-2 ring-red-500';
+  switch (verdict.kind) {
+    case 'pure_sequence':
+      return 'ring-2 ring-emerald-500';
+    case 'sequence':
+    case 'run':
+      return 'ring-2 ring-blue-500';
+    case 'tunnela':
+      return 'ring-2 ring-amber-500';
+    default:
+      return 'ring-2 ring-purple-500';
+  }
+};
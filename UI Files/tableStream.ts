@@ -0,0 +1,73 @@
+import { apiClient } from 'app';
+
+const RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Listen to a table's live events from /tables/stream (Server-Sent Events).
+ * Calls onEvent(type, data) for each event - "turn", "draw", "chat", "declare",
+ * "seats", "round_started", "round_finished", ... - and reconnects after drops,
+ * but gives up when the server refuses the stream (4xx).
+ * Returns a function that closes the stream.
+ */
+export const subscribeTableEvents = (
+  tableId: string,
+  onEvent: (type: string, data: any) => void,
+): (() => void) => {
+  let closed = false;
+  let reader: ReadableStreamDefaultReader<Uint8Array> | null = null;
+
+  const dispatch = (chunk: string) => {
+    let type = 'message';
+    const dataLines: string[] = [];
+    for (const line of chunk.split('\n')) {
+      if (line.startsWith(':')) continue; // keepalive comment
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    }
+    if (dataLines.length === 0) return;
+    try {
+      onEvent(type, JSON.parse(dataLines.join('\n')));
+    } catch (error) {
+      console.error('Bad table event:', error);
+    }
+  };
+
+  const run = async () => {
+    while (!closed) {
+      try {
+        const response = await apiClient.stream_table({ table_id: tableId });
+        if (!response.ok) {
+          // Not a member any more, or signed out: retrying can't help
+          if (response.status >= 400 && response.status < 500) {
+            console.error('Table stream refused:', response.status);
+            return;
+          }
+          throw new Error(`Table stream failed: ${response.status}`);
+        }
+        reader = response.body!.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (!closed) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          let boundary = buffer.indexOf('\n\n');
+          while (boundary !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            boundary = buffer.indexOf('\n\n');
+          }
+        }
+      } catch (error) {
+        if (!closed) console.error('Table stream dropped:', error);
+      }
+      if (!closed) await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY_MS));
+    }
+  };
+
+  run();
+  return () => {
+    closed = true;
+    reader?.cancel().catch(() => {});
+  };
+};